@@ -1,5 +1,31 @@
 const audibleTabsMap = new Map();
+const tabMediaState = new Map(); // Media state of each tab, combined from its frames, keyed by tab id
+const tabFrameStates = new Map(); // tabId -> Map(frameId -> latest state reported by that frame)
+let primaryTabId = null; // Tab the keyboard shortcuts always control, pinned from the popup
+const bulkPausedTabs = new Set(); // Tabs paused by "pause all", the only ones "resume all" restarts
 const TAB_RETENTION_MS = 30 * 60 * 1000; // Keep tabs for 30 minutes after they stop playing
+// Injected again when a tab's content scripts are missing (e.g. it was open before install)
+const CONTENT_SCRIPT_FILES = [
+    '/content/mediaSessionHook.js',
+    '/content/pageAudioHook.js',
+    '/content/autoplayBlocker.js',
+    '/content/adapters/registry.js',
+    '/content/adapters/generic.js',
+    '/content/adapters/youtube.js',
+    '/content/adapters/youtubeMusic.js',
+    '/content/adapters/spotify.js',
+    '/content/adapters/soundcloud.js',
+    '/content/adapters/twitch.js',
+    '/content/adapters/bandcamp.js',
+    '/content/customControls.js',
+    '/content/elementPicker.js',
+    '/content/skipTrack.js',
+    '/content/resumePosition.js',
+    '/content/levelMeter.js'
+];
+const SITE_SETTINGS_KEY = 'siteSettings'; // Per-origin preferences in storage.local
+const NORMALIZE_KEY = 'normalizeLoudness'; // Loudness normalization applies to every tab
+const AUTOPLAY_BLOCKER_KEY = 'autoplayBlocker'; // { enabled, allow: [hostnames], block: [hostnames] }
 
 function getAudibleTabs() {
     // Clean up old tabs before returning the list
@@ -13,6 +39,7 @@ function cleanupOldTabs() {
     for (const [id, tab] of audibleTabsMap.entries()) {
         if (!tab.audible && (now - tab.lastActive) >= TAB_RETENTION_MS) {
             audibleTabsMap.delete(id);
+            forgetMediaState(id);
         }
     }
 }
@@ -26,7 +53,9 @@ function upsertFromTab(tab) {
     if (tab.audible) {
         // Update or add tab that's currently playing
         audibleTabsMap.set(tab.id, {
+            ...audibleTabsMap.get(tab.id),
             id: tab.id,
+            windowId: tab.windowId,
             title: tab.title || tab.url || `Tab ${tab.id}`,
             url: tab.url || '',
             audible: true,
@@ -47,23 +76,210 @@ function upsertFromTab(tab) {
     return false;
 }
 
+function getOrigin(url) {
+    try {
+        const origin = new URL(url).origin;
+        return origin === 'null' ? null : origin;
+    } catch (e) {
+        return null;
+    }
+}
+
+async function getSiteSettings(url) {
+    const origin = getOrigin(url);
+    if (!origin) return {};
+    const stored = await browser.storage.local.get(SITE_SETTINGS_KEY);
+    return (stored[SITE_SETTINGS_KEY] || {})[origin] || {};
+}
+
+// Each update reads and rewrites the whole settings object, so updates run one
+// after another; otherwise a speed change could overwrite a volume saved meanwhile
+let siteSettingsQueue = Promise.resolve();
+
+function updateSiteSettings(url, changes) {
+    const origin = getOrigin(url);
+    if (!origin) return Promise.resolve();
+    const update = siteSettingsQueue.then(async () => {
+        const stored = await browser.storage.local.get(SITE_SETTINGS_KEY);
+        const allSettings = stored[SITE_SETTINGS_KEY] || {};
+        allSettings[origin] = { ...allSettings[origin], ...changes };
+        await browser.storage.local.set({ [SITE_SETTINGS_KEY]: allSettings });
+    });
+    siteSettingsQueue = update.catch(() => {});
+    return update;
+}
+
+function frameHasMedia(state) {
+    return state.mediaCount > 0 || !!(state.mediaSession && state.mediaSession.metadata) || !!state.webAudio;
+}
+
+// The tab's state is that of the frame being listened to (the most recently
+// updated playing frame, else the most recently updated one) with the counts
+// summed over every frame, so embedded players and Web Audio pages are covered
+function combineFrameStates(frames) {
+    const states = Array.from(frames.values()).sort((a, b) => b.updatedAt - a.updatedAt);
+    const primary = states.find(state => state.isPlaying) || states[0];
+    const isPlaying = states.some(state => state.isPlaying);
+    return {
+        ...primary,
+        mediaCount: states.reduce((count, state) => count + state.mediaCount, 0),
+        playingCount: states.reduce((count, state) => count + (state.playingCount || 0), 0),
+        isPlaying,
+        isPaused: !isPlaying && states.some(state => state.isPaused),
+        autoplayBlocked: states.some(state => state.autoplayBlocked),
+        autoplayBlockedHosts: [...new Set(states.map(state => state.autoplayBlockedHost).filter(Boolean))],
+        frames: states.map(state => ({
+            frameId: state.frameId,
+            isPlaying: state.isPlaying,
+            mediaCount: state.mediaCount,
+            webAudio: state.webAudio || null
+        }))
+    };
+}
+
+function updateMediaState(tabId, frameId, state) {
+    let frames = tabFrameStates.get(tabId);
+    const metadata = state.mediaSession ? state.mediaSession.metadata : null;
+    if (!frameHasMedia(state)) {
+        // A frame without media only clears what it reported itself
+        if (!frames || !frames.delete(frameId)) return false;
+        if (frames.size === 0) return forgetMediaState(tabId);
+    } else {
+        if (!frames) {
+            frames = new Map();
+            tabFrameStates.set(tabId, frames);
+        }
+        frames.set(frameId, { ...state, frameId, updatedAt: Date.now() });
+    }
+    tabMediaState.set(tabId, combineFrameStates(frames));
+
+    const entry = audibleTabsMap.get(tabId);
+    if (entry && state.isPlaying) {
+        entry.lastActive = Date.now();
+    }
+    if (entry && metadata) {
+        // Kept on the entry so the row still shows what played after the tab navigates away
+        entry.metadata = metadata;
+    }
+    return true;
+}
+
+function forgetMediaState(tabId) {
+    tabFrameStates.delete(tabId);
+    return tabMediaState.delete(tabId);
+}
+
+// Merge the tab entry with what the content script reports. Tabs whose content
+// script hasn't reported (yet) fall back to the browser's audible flag.
+function serializeTab(tab) {
+    const state = tabMediaState.get(tab.id);
+    return {
+        ...tab,
+        isPlaying: state ? state.isPlaying : tab.audible,
+        isPaused: state ? state.isPaused : !tab.audible,
+        mediaCount: state ? state.mediaCount : 0,
+        currentTime: state ? state.currentTime : null,
+        duration: state ? state.duration : null,
+        volume: state ? state.volume : null,
+        playbackRate: state ? state.playbackRate : null,
+        preservesPitch: state ? state.preservesPitch : null,
+        audioProcessing: state ? state.audioProcessing : null,
+        metadata: (state && state.mediaSession && state.mediaSession.metadata) || tab.metadata || null,
+        playbackState: state && state.mediaSession ? state.mediaSession.playbackState : null,
+        supportedActions: state && state.mediaSession ? state.mediaSession.actions || [] : [],
+        siteAdapter: state ? state.siteAdapter : null,
+        customControls: state ? state.customControls || null : null,
+        isPrimary: tab.id === primaryTabId,
+        pausedByBulk: bulkPausedTabs.has(tab.id),
+        webAudio: state ? !!state.webAudio : false,
+        autoplayBlocked: state ? !!state.autoplayBlocked : false,
+        media: state ? state.elements : []
+    };
+}
+
+function getMediaTabsForPopup() {
+    return getAudibleTabs().map(serializeTab);
+}
+
+
+async function injectContentScripts(tabId) {
+    for (const file of CONTENT_SCRIPT_FILES) {
+        await browser.tabs.executeScript(tabId, { file });
+    }
+}
+
+// Toggle the tab's media elements directly when its content scripts don't answer.
+// Playing media is paused in every frame, embedded players included; if nothing
+// was playing, the top frame's media is started.
+function togglePlayPauseWithScript(tabId) {
+    return browser.tabs.executeScript(tabId, {
+        allFrames: true,
+        code: `
+            (function() {
+                var paused = 0;
+                document.querySelectorAll('audio, video').forEach(function(media) {
+                    if (!media.paused) {
+                        media.pause();
+                        paused++;
+                    }
+                });
+                return paused;
+            })();
+        `
+    }).then(pausedCounts => {
+        if (pausedCounts.some(count => count > 0)) {
+            return { success: true, isPlaying: false };
+        }
+        return browser.tabs.executeScript(tabId, {
+            code: `
+                (function() {
+                    var mediaElements = Array.from(document.querySelectorAll('audio, video'));
+                    var media = mediaElements.find(function(element) { return element.currentTime > 0; }) || mediaElements[0];
+                    if (!media) return { success: false, error: 'No media elements found' };
+                    media.play();
+                    return { success: true, isPlaying: true };
+                })();
+            `
+        }).then(([result]) => result);
+    }).then(result => {
+        if (!result.success) return result;
+        console.log(`Background: Successfully toggled play/pause for tab ${tabId}.`);
+        
+        // Update our local state with the actual result from the content script
+        const tab = audibleTabsMap.get(tabId);
+        if (tab) {
+            tab.audible = result.isPlaying;
+            tab.lastActive = Date.now();
+            pushUpdateToPopup();
+        }
+        
+        return result;
+    }).catch(error => {
+        console.error(`Background: Error toggling play/pause for tab ${tabId}:`, error);
+        return { success: false, error: error.message };
+    });
+}
 
 const popupPorts = new Set();
 
 
 browser.runtime.onConnect.addListener(port => {
-    if (port.name === 'popup') {
+    // The sidebar dashboard runs the popup script and speaks the same protocol
+    if (port.name === 'popup' || port.name === 'sidebar') {
         popupPorts.add(port);
+        updateLevelMetering();
         
-        
-        const tabs = Array.from(audibleTabsMap.values());
         port.postMessage({
             command: 'update_media_tabs',
-            tabs: tabs
+            tabs: getMediaTabsForPopup()
         });
         
+        // Every popup command can also be sent over the port as a request
+        port.onMessage.addListener(message => handlePortRequest(port, message));
+        
         port.onDisconnect.addListener(() => {
             popupPorts.delete(port);
+            updateLevelMetering();
         });
     }
 });
@@ -74,16 +290,9 @@ function pushUpdateToPopup() {
         return; 
     }
     
-    // Get the latest tab states
-    const tabs = Array.from(audibleTabsMap.values()).map(tab => ({
-        ...tab,
-        // Ensure we have the latest play state
-        isPlaying: tab.audible
-    }));
-    
     const message = {
         command: 'update_media_tabs',
-        tabs: tabs
+        tabs: getMediaTabsForPopup()
     };
     
     for (const port of popupPorts) {
@@ -135,6 +344,11 @@ browser.tabs.onCreated.addListener((tab) => {
 
 browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     let changed = false;
+    if (changeInfo.url !== undefined && tabMediaState.has(tabId)) {
+        // The new page's content script reports its own media, if any
+        forgetMediaState(tabId);
+        changed = audibleTabsMap.has(tabId);
+    }
     if (changeInfo.audible !== undefined) {
         console.log(`Tab ${tabId} audible: ${changeInfo.audible}`);
         changed = upsertFromTab(tab) !== false || changed;
@@ -148,6 +362,9 @@ browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
         const after = JSON.stringify(entry);
         changed = (before !== after) || changed;
     }
+    if (changeInfo.audible !== undefined || changeInfo.mutedInfo !== undefined || changeInfo.url !== undefined) {
+        updateListeningClock(tab);
+    }
     if (changed) {
         updateIconForMediaTabs();
         pushUpdateToPopup();
@@ -156,254 +373,711 @@ browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
 
 
 browser.tabs.onRemoved.addListener((tabId) => {
+    stopListeningClock(tabId);
+    forgetMediaState(tabId);
+    if (primaryTabId === tabId) primaryTabId = null;
+    bulkPausedTabs.delete(tabId);
     if (audibleTabsMap.delete(tabId)) {
         updateIconForMediaTabs();
         pushUpdateToPopup();
     }
 });
 
+// Keep the sidebar's window groups right when a tab is dragged to another window
+browser.tabs.onAttached.addListener((tabId, attachInfo) => {
+    const entry = audibleTabsMap.get(tabId);
+    if (entry) {
+        entry.windowId = attachInfo.newWindowId;
+        pushUpdateToPopup();
+    }
+});
 
 
-browser.runtime.onMessage.addListener((message, sender) => {
-    // Handle play/pause toggle
-    if (message.command === "toggle_play_pause") {
-        console.log(`Background: Received 'toggle_play_pause' command for tab ${message.tabId}.`);
-        
-        // Update our local state first
-        const tab = audibleTabsMap.get(message.tabId);
-        if (tab) {
-            tab.lastActive = Date.now();
-            // We'll update the audible state when we get the result from the content script
-        }
-        
-        return browser.tabs.executeScript(message.tabId, {
-            code: `
-                (function() {
-                    var mediaElements = document.querySelectorAll('audio, video');
-                    var foundPlaying = false;
-                    mediaElements.forEach(function(media) {
-                        if (!media.paused) {
-                            foundPlaying = true;
-                            media.pause();
-                        } else if (media.currentTime > 0) {
-                            foundPlaying = true;
-                            media.play();
-                        }
-                    });
-                    
-                    if (!foundPlaying && mediaElements.length > 0) {
-                        // If no media was playing, start the first one
-                        mediaElements[0].play();
-                        foundPlaying = true;
-                    }
-                    
-                    return { success: true, isPlaying: !foundPlaying };
-                })();
-            `
-        }).then(([result]) => {
-            console.log(`Background: Successfully toggled play/pause for tab ${message.tabId}.`);
-            
-            // Update our local state with the actual result from the content script
-            const tab = audibleTabsMap.get(message.tabId);
-            if (tab) {
-                tab.audible = result.isPlaying;
-                tab.lastActive = Date.now();
-                pushUpdateToPopup();
-            }
-            
-            return result;
-        }).catch(error => {
-            console.error(`Background: Error toggling play/pause for tab ${message.tabId}:`, error);
-            return { success: false, error: error.message };
+
+// Commands from the popup, the sidebar, the settings pages and content scripts,
+// validated and answered by background/commandRouter.js
+
+// Media state pushed by the content script whenever a media element changes
+registerCommand("media_state", { fromTab: true, params: { state: 'object' } }, (message, sender) => {
+    // Blocked autoplay never made the tab audible, but the row has to offer "Allow this site"
+    if (message.state.autoplayBlocked && !audibleTabsMap.has(sender.tab.id)) {
+        audibleTabsMap.set(sender.tab.id, {
+            id: sender.tab.id,
+            windowId: sender.tab.windowId,
+            title: sender.tab.title || sender.tab.url || `Tab ${sender.tab.id}`,
+            url: sender.tab.url || '',
+            audible: false,
+            muted: !!(sender.tab.mutedInfo && sender.tab.mutedInfo.muted),
+            lastActive: Date.now()
         });
     }
+    if (updateMediaState(sender.tab.id, sender.frameId, message.state) && audibleTabsMap.has(sender.tab.id)) {
+        pushUpdateToPopup();
+    }
+    followTrackForSleepTimer(sender.tab.id);
+    updateHistoryFromMediaState(sender.tab, message.state);
+});
+
+// Content scripts ask for the settings of the site their tab is on
+registerCommand("get_site_settings", { fromTab: true, returns: { settings: 'object' } }, (message, sender) => {
+    return Promise.all([
+        getSiteSettings(sender.tab.url),
+        browser.storage.local.get(NORMALIZE_KEY)
+    ]).then(([settings, stored]) => ({
+        success: true,
+        settings: { ...settings, normalize: !!stored[NORMALIZE_KEY] }
+    }));
+});
+
+// Handle play/pause toggle
+registerCommand("toggle_play_pause", { params: { tabId: 'tabId' }, returns: { isPlaying: 'boolean' } }, (message) => {
+    console.log(`Background: Received 'toggle_play_pause' command for tab ${message.tabId}.`);
     
-    if (message.command === "skip_track") {
-        console.log(`Background: Received 'skip_track' command for tab ${message.tabId}, direction: ${message.direction}`);
-        
+    // Update our local state first
+    const tab = audibleTabsMap.get(message.tabId);
+    if (tab) {
+        tab.lastActive = Date.now();
+        // We'll update the audible state when we get the result from the content script
+    }
+    
+    // The content script goes through the page's Media Session handlers and the
+    // site's adapter, which keep the site's player in sync
+    const state = tabMediaState.get(message.tabId);
+    return browser.tabs.sendMessage(message.tabId, {
+        command: 'execute_toggle_play_pause'
+    }, state ? { frameId: state.frameId } : {}).then(result => {
+        if (result && result.success) {
+            console.log(`Background: Toggled play/pause for tab ${message.tabId} using method:`, result.method);
+            return result;
+        }
+        return togglePlayPauseWithScript(message.tabId);
+    }).catch(() => togglePlayPauseWithScript(message.tabId));
+});
+
+registerCommand("skip_track", { params: { tabId: 'tabId', direction: ['next', 'prev'] }, returns: { method: 'string' } }, (message) => {
+    console.log(`Background: Received 'skip_track' command for tab ${message.tabId}, direction: ${message.direction}`);
+    
+    // Only the frame with the media may skip; other frames would click any "next"
+    // button they have. Without a report yet that is the top frame.
+    const state = tabMediaState.get(message.tabId);
+    const frameId = state ? state.frameId : 0;
+    const sendSkip = options => browser.tabs.sendMessage(message.tabId, {
+        command: 'execute_skip_track',
+        direction: message.direction
+    }, options);
+    return sendSkip({ frameId }).catch(error => {
+        if (frameId === 0) throw error;
+        // The frame with the media is gone; the top frame may still skip
+        console.log(`Frame ${frameId} did not answer, trying the top frame...`, error);
+        return sendSkip({ frameId: 0 });
+    }).catch(error => {
+        // Only a top frame without content scripts gets them injected; running
+        // them twice in the same frame would redeclare their globals
+        console.log('Direct message failed, attempting to inject content script...', error);
         
-        return browser.tabs.sendMessage(message.tabId, {
-            command: 'execute_skip_track',
-            direction: message.direction
-        }).catch(error => {
-            console.log('Direct message failed, attempting to inject content script...', error);
+        return injectContentScripts(message.tabId).then(() => {
+            console.log('Content script injected, sending message...');
+            return sendSkip({ frameId: 0 });
+        }).catch(injectError => {
+            console.error('Failed to inject content script:', injectError);
+            throw new Error('Failed to inject content script: ' + injectError.message);
+        });
+    }).then(async (result) => {
+        if (result && result.success) {
+            console.log(`Successfully skipped ${message.direction} track using method:`, result.method);
             
-            return browser.tabs.executeScript(message.tabId, {
-                file: '/content/skipTrack.js'
-            }).then(() => {
-                console.log('Content script injected, sending message...');
-                return browser.tabs.sendMessage(message.tabId, {
-                    command: 'execute_skip_track',
-                    direction: message.direction
-                });
-            }).catch(injectError => {
-                console.error('Failed to inject content script:', injectError);
-                throw new Error('Failed to inject content script: ' + injectError.message);
-            });
-        }).then(async (result) => {
-            if (result && result.success) {
-                console.log(`Successfully skipped ${message.direction} track using method:`, result.method);
+            try {
                 
-                try {
+                const tab = await browser.tabs.get(message.tabId);
+                if (tab) {
+                    
+                    const updateType = upsertFromTab(tab);
+                    if (updateType) {
+                        console.log(`Tab ${tab.id} ${updateType} in cache`);
+                    }
+                    
                     
-                    const tab = await browser.tabs.get(message.tabId);
-                    if (tab) {
+                    const updatedTab = await browser.tabs.get(message.tabId);
+                    if (updatedTab) {
                         
-                        const updateType = upsertFromTab(tab);
-                        if (updateType) {
-                            console.log(`Tab ${tab.id} ${updateType} in cache`);
-                        }
+                        audibleTabsMap.set(updatedTab.id, {
+                            ...audibleTabsMap.get(updatedTab.id) || {},
+                            title: updatedTab.title,
+                            url: updatedTab.url
+                        });
                         
                         
-                        const updatedTab = await browser.tabs.get(message.tabId);
-                        if (updatedTab) {
-                            
-                            audibleTabsMap.set(updatedTab.id, {
-                                ...audibleTabsMap.get(updatedTab.id) || {},
-                                title: updatedTab.title,
-                                url: updatedTab.url
+                        pushUpdateToPopup();
+                        
+                        
+                        try {
+                            await browser.tabs.sendMessage(message.tabId, {
+                                command: 'update_title'
                             });
+                        } catch (e) {
                             
-                            
-                            pushUpdateToPopup();
-                            
-                            
-                            try {
-                                await browser.tabs.sendMessage(message.tabId, {
-                                    command: 'update_title'
-                                });
-                            } catch (e) {
-                                
-                                console.log('Could not update title via content script:', e);
-                            }
+                            console.log('Could not update title via content script:', e);
                         }
                     }
-                } catch (e) {
-                    console.error('Error updating tab info after skip:', e);
                 }
-                
-                return { success: true, method: result.method };
+            } catch (e) {
+                console.error('Error updating tab info after skip:', e);
             }
-            const error = result?.error || 'No supported track skipping method found';
-            const methodsTried = result?.methodsTried || [];
-            console.error(`Failed to skip ${message.direction} track:`, error, 'Methods tried:', methodsTried);
-            return { success: false, error, methodsTried };
-        }).catch(error => {
-            console.error(`Background: Error in skip_track for tab ${message.tabId}:`, error);
             
-            return browser.tabs.executeScript(message.tabId, {
-                code: `
-                    (function() {
-                        try {
-                            const direction = '${message.direction}';
-                            const selectors = direction === 'next' ? 
-                                ['.ytp-next-button', '.next', '.skip-next', '[data-testid="next"]'] :
-                                ['.ytp-prev-button', '.previous', '.skip-previous', '[data-testid="previous"]'];
-                            
-                            for (const selector of selectors) {
-                                const button = document.querySelector(selector);
-                                if (button && button.offsetParent !== null) {
-                                    button.click();
-                                    return { success: true, method: 'direct-button-click' };
-                                }
-                            }
-                            return { success: false, error: 'No skip buttons found' };
-                        } catch (e) {
-                            return { success: false, error: e.message };
-                        }
-                    })();
-                `
-            }).then(results => {
-                const result = results && results[0];
-                if (result && result.success) {
-                    console.log(`Successfully skipped ${message.direction} track using fallback method:`, result.method);
-                    return { success: true, method: result.method };
-                }
-                throw new Error(result?.error || 'All skip methods failed');
-            });
+            return { success: true, method: result.method };
+        }
+        const error = result?.error || 'No supported track skipping method found';
+        const methodsTried = result?.methodsTried || [];
+        console.error(`Failed to skip ${message.direction} track:`, error, 'Methods tried:', methodsTried);
+        return { success: false, error, methodsTried };
+    }).catch(error => {
+        console.error(`Background: Error in skip_track for tab ${message.tabId}:`, error);
+        // Site-specific selectors live in the content script's adapters; if those
+        // can't be injected there is nothing left to try
+        return { success: false, error: error.message };
+    });
+});
+
+registerCommand("seek_media", {
+    params: { tabId: 'tabId', position: 'number?', offset: 'number?' },
+    returns: { currentTime: 'number?', duration: 'number?' }
+}, (message) => {
+    console.log(`Background: Received 'seek_media' command for tab ${message.tabId}, position: ${message.position}, offset: ${message.offset}`);
+    
+    // Target the frame that reported the media, if we know it
+    const state = tabMediaState.get(message.tabId);
+    const options = state ? { frameId: state.frameId } : {};
+    
+    return browser.tabs.sendMessage(message.tabId, {
+        command: 'execute_seek',
+        position: message.position,
+        offset: message.offset
+    }, options).then(result => {
+        if (!result || !result.success) {
+            const error = result?.error || 'No media elements found';
+            console.error(`Background: Failed to seek tab ${message.tabId}:`, error);
+            return { success: false, error };
+        }
+        
+        if (state) {
+            state.currentTime = result.currentTime;
+            state.duration = result.duration;
+            pushUpdateToPopup();
+        }
+        return result;
+    }).catch(error => {
+        console.error(`Background: Error in seek_media for tab ${message.tabId}:`, error);
+        return { success: false, error: error.message };
+    });
+});
+
+registerCommand("set_volume", { params: { tabId: 'tabId', volume: 'number', persist: 'boolean?' }, returns: { volume: 'number' } }, (message) => {
+    console.log(`Background: Received 'set_volume' command for tab ${message.tabId}, volume: ${message.volume}`);
+    
+    return browser.tabs.get(message.tabId).then(async tab => {
+        const result = await browser.tabs.sendMessage(message.tabId, {
+            command: 'execute_set_volume',
+            volume: message.volume
         });
-    }
+        if (!result) {
+            return { success: false, error: 'No media elements found' };
+        }
+        
+        // Remember the level for the site so new media and later visits pick it up;
+        // the popup only asks for that once the slider is released
+        if (message.persist) {
+            await updateSiteSettings(tab.url, { volume: message.volume });
+        }
+        
+        const state = tabMediaState.get(message.tabId);
+        if (state && result && result.success) {
+            state.volume = result.volume;
+            pushUpdateToPopup();
+        }
+        return { success: true, volume: message.volume };
+    }).catch(error => {
+        console.error(`Background: Error in set_volume for tab ${message.tabId}:`, error);
+        return { success: false, error: error.message };
+    });
+});
 
-    if (message.command === "get_media_tabs") {
-        console.log("Background: Received 'get_media_tabs' command from popup.");
-        const tabsData = getAudibleTabs().map(tab => ({
-            id: tab.id,
-            title: tab.title,
-            url: tab.url,
-            audible: true,
-            muted: tab.muted,
-
-            isPlaying: true,
-            isPaused: false,
-            mediaCount: 1,
-        }));
-        console.log(`Background: Returning ${tabsData.length} audible tabs from cache.`);
-        return Promise.resolve(tabsData);
+registerCommand("set_playback_rate", {
+    params: { tabId: 'tabId', rate: 'number', preservesPitch: 'boolean?' },
+    returns: { rate: 'number', preservesPitch: 'boolean' }
+}, (message) => {
+    console.log(`Background: Received 'set_playback_rate' command for tab ${message.tabId}, rate: ${message.rate}`);
+    
+    if (message.rate <= 0) {
+        return { success: false, error: 'Invalid playback speed' };
     }
+    return browser.tabs.get(message.tabId).then(async tab => {
+        // Remembered for the site so new media and later visits play at the same speed
+        await updateSiteSettings(tab.url, {
+            playbackRate: message.rate,
+            preservesPitch: message.preservesPitch !== false
+        });
+        
+        const result = await browser.tabs.sendMessage(message.tabId, {
+            command: 'execute_set_playback_rate',
+            rate: message.rate,
+            preservesPitch: message.preservesPitch
+        });
+        if (!result) {
+            return { success: false, error: 'No media elements found' };
+        }
+        
+        const state = tabMediaState.get(message.tabId);
+        if (state && result.success) {
+            state.playbackRate = result.rate;
+            state.preservesPitch = result.preservesPitch;
+            pushUpdateToPopup();
+        }
+        return result;
+    }).catch(error => {
+        console.error(`Background: Error in set_playback_rate for tab ${message.tabId}:`, error);
+        return { success: false, error: error.message };
+    });
+});
 
-    if (message.command === "toggle_play_pause") {
-        console.log(`Background: Received 'toggle_play_pause' command for tab ${message.tabId}.`);
+registerCommand("allow_autoplay", {
+    params: { tabId: 'tabId' },
+    returns: { hostname: 'string', hostnames: 'array', resumed: 'boolean' }
+}, (message) => {
+    console.log(`Background: Received 'allow_autoplay' command for tab ${message.tabId}.`);
+    
+    return browser.tabs.get(message.tabId).then(async tab => {
+        const hostname = new URL(tab.url).hostname;
+        // Each frame checks its own hostname, so an embedded player that was
+        // blocked is allowed by its site as well as the tab's
+        const state = tabMediaState.get(message.tabId);
+        const hostnames = [hostname, ...(state ? state.autoplayBlockedHosts || [] : [])];
+        const stored = await browser.storage.local.get(AUTOPLAY_BLOCKER_KEY);
+        const settings = { enabled: false, allow: [], block: [], ...stored[AUTOPLAY_BLOCKER_KEY] };
+        settings.block = settings.block.filter(site => !hostnames.includes(site));
+        hostnames.forEach(site => {
+            if (!settings.allow.includes(site)) settings.allow.push(site);
+        });
+        await browser.storage.local.set({ [AUTOPLAY_BLOCKER_KEY]: settings });
         
-        // Update our local state first
-        const tab = audibleTabsMap.get(message.tabId);
-        if (tab) {
-            tab.lastActive = Date.now();
-            // We'll update the audible state when we get the result from the content script
+        // Start what was blocked, now that the site may play
+        if (state) {
+            state.autoplayBlocked = false;
+            state.autoplayBlockedHosts = [];
         }
+        const result = await setTabPlayback(message.tabId, true);
+        return { success: true, hostname, hostnames, resumed: result.success };
+    }).catch(error => {
+        console.error(`Background: Error in allow_autoplay for tab ${message.tabId}:`, error);
+        return { success: false, error: error.message };
+    });
+});
+
+registerCommand("set_audio_boost", { params: { tabId: 'tabId', boost: 'number' }, returns: { boost: 'number' } }, (message) => {
+    console.log(`Background: Received 'set_audio_boost' command for tab ${message.tabId}, boost: ${message.boost}`);
+    
+    return browser.tabs.get(message.tabId).then(async tab => {
+        const result = await browser.tabs.sendMessage(message.tabId, {
+            command: 'execute_set_audio_processing',
+            boost: message.boost
+        });
+        if (!result) {
+            return { success: false, error: 'No media elements found' };
+        }
+        // Only remember boosts that could actually be applied
+        if (result.success) {
+            await updateSiteSettings(tab.url, { boost: message.boost });
+        }
+        const state = tabMediaState.get(message.tabId);
+        if (state && state.audioProcessing) {
+            state.audioProcessing.boost = result.boost;
+            pushUpdateToPopup();
+        }
+        return result;
+    }).catch(error => {
+        console.error(`Background: Error in set_audio_boost for tab ${message.tabId}:`, error);
+        return { success: false, error: error.message };
+    });
+});
+
+registerCommand("set_normalization", { params: { enabled: 'boolean' }, returns: { enabled: 'boolean', failed: 'number' } }, (message) => {
+    console.log(`Background: Received 'set_normalization' command, enabled: ${message.enabled}`);
+    
+    return browser.storage.local.set({ [NORMALIZE_KEY]: !!message.enabled }).then(async () => {
+        // Every content script needs it, not just tabs that are listed, so later media is covered too
+        const tabs = await browser.tabs.query({});
+        const updates = tabs.map(({ id: tabId }) =>
+            browser.tabs.sendMessage(tabId, {
+                command: 'execute_set_audio_processing',
+                normalize: !!message.enabled
+            }).catch(error => {
+                console.log(`Could not update normalization for tab ${tabId}:`, error);
+                return null;
+            })
+        );
+        return Promise.all(updates);
+    }).then(results => {
+        const failed = results.filter(result => result && !result.success);
+        return { success: true, enabled: !!message.enabled, failed: failed.length };
+    }).catch(error => {
+        console.error('Background: Error in set_normalization:', error);
+        return { success: false, error: error.message };
+    });
+});
+
+registerCommand("media_session_action", { params: { tabId: 'tabId', action: 'string', details: 'object?' } }, (message) => {
+    console.log(`Background: Received 'media_session_action' command for tab ${message.tabId}, action: ${message.action}`);
+    
+    const state = tabMediaState.get(message.tabId);
+    return browser.tabs.sendMessage(message.tabId, {
+        command: 'execute_media_session_action',
+        action: message.action,
+        details: message.details
+    }, state ? { frameId: state.frameId } : {}).then(result => {
+        // No frame answers when the page never registered a handler for the action
+        return result || { success: false, error: `The page has no '${message.action}' handler` };
+    }).catch(error => {
+        console.error(`Background: Error in media_session_action for tab ${message.tabId}:`, error);
+        return { success: false, error: error.message };
+    });
+});
+
+registerCommand("like_track", { params: { tabId: 'tabId' } }, (message) => {
+    console.log(`Background: Received 'like_track' command for tab ${message.tabId}.`);
+    
+    const state = tabMediaState.get(message.tabId);
+    return browser.tabs.sendMessage(message.tabId, {
+        command: 'execute_like'
+    }, { frameId: state ? state.frameId : 0 }).then(result => {
+        return result || { success: false, error: 'This site has no like control' };
+    }).catch(error => {
+        console.error(`Background: Error in like_track for tab ${message.tabId}:`, error);
+        return { success: false, error: error.message };
+    });
+});
+
+registerCommand("start_element_picker", { params: { tabId: 'tabId' } }, (message) => {
+    console.log(`Background: Received 'start_element_picker' command for tab ${message.tabId}.`);
+    
+    return browser.tabs.sendMessage(message.tabId, {
+        command: 'start_element_picker'
+    }, { frameId: 0 }).then(result => {
+        return result || { success: false, error: 'The picker is not available on this page' };
+    }).catch(error => {
+        console.error(`Background: Error in start_element_picker for tab ${message.tabId}:`, error);
+        return { success: false, error: error.message };
+    });
+});
+
+registerCommand("set_primary_tab", { params: { tabId: 'tabId?' }, returns: { tabId: 'tabId?' } }, (message) => {
+    // A null tabId unpins, shortcuts then follow the most recently active tab
+    primaryTabId = message.tabId;
+    console.log(`Background: Primary tab is now ${primaryTabId}.`);
+    pushUpdateToPopup();
+    return { success: true, tabId: primaryTabId };
+});
+
+registerCommand("mute_all", { returns: { muted: 'boolean' } }, () => {
+    console.log("Background: Received 'mute_all' command.");
+    return setTabsMuted(getAudibleTabs().map(tab => tab.id), true).then(() => ({ success: true, muted: true }));
+});
+
+registerCommand("unmute_all", { returns: { muted: 'boolean' } }, () => {
+    console.log("Background: Received 'unmute_all' command.");
+    return setTabsMuted(getAudibleTabs().map(tab => tab.id), false).then(() => ({ success: true, muted: false }));
+});
+
+registerCommand("pause_all", { returns: { paused: 'number' } }, () => {
+    console.log("Background: Received 'pause_all' command.");
+    return pauseAll();
+});
+
+registerCommand("resume_all", { returns: { resumed: 'number' } }, () => {
+    console.log("Background: Received 'resume_all' command.");
+    return resumeAll();
+});
+
+registerCommand("solo_tab", { params: { tabId: 'tabId' }, returns: { muted: 'number' } }, (message) => {
+    console.log(`Background: Received 'solo_tab' command for tab ${message.tabId}.`);
+    return soloTab(message.tabId).catch(error => {
+        console.error(`Background: Error in solo_tab for tab ${message.tabId}:`, error);
+        return { success: false, error: error.message };
+    });
+});
+
+// What every sleep timer command answers with, see getSleepTimerStatus()
+const SLEEP_TIMER_STATUS = { active: 'boolean', endsAt: 'number?', endOfTrack: 'boolean?' };
+
+registerCommand("set_sleep_timer", { params: { minutes: 'number?', endOfTrack: 'boolean?' }, returns: SLEEP_TIMER_STATUS }, (message) => {
+    console.log("Background: Received 'set_sleep_timer' command.");
+    return startSleepTimer(message);
+});
+
+registerCommand("cancel_sleep_timer", { returns: SLEEP_TIMER_STATUS }, () => {
+    console.log("Background: Received 'cancel_sleep_timer' command.");
+    return cancelSleepTimer();
+});
+
+registerCommand("get_sleep_timer", { returns: SLEEP_TIMER_STATUS }, () => {
+    return getSleepTimerStatus();
+});
+
+registerCommand("get_media_tabs", { returns: { tabs: 'array' } }, () => {
+    console.log("Background: Received 'get_media_tabs' command from popup.");
+    const tabsData = getMediaTabsForPopup();
+    console.log(`Background: Returning ${tabsData.length} audible tabs from cache.`);
+    return { success: true, tabs: tabsData };
+});
+
+// The popup asks for a fresh push over its port, e.g. when it becomes visible again
+registerCommand("request_update", {}, () => {
+    pushUpdateToPopup();
+});
+
+registerCommand("toggle_mute", { params: { tabId: 'tabId' }, returns: { isMuted: 'boolean' } }, (message) => {
+    console.log(`Background: Received 'toggle_mute' command for tab ${message.tabId}.`);
+    return browser.tabs.get(message.tabId).then(tab => {
+        const isCurrentlyMuted = tab.mutedInfo && tab.mutedInfo.muted;
+        const newMuteState = !isCurrentlyMuted;
+        return browser.tabs.update(message.tabId, { muted: newMuteState }).then(() => {
+            console.log(`Background: Tab ${message.tabId} mute state changed to: ${newMuteState}`);
+            return { success: true, isMuted: newMuteState };
+        });
+    }).then(result => {
         
-        return browser.tabs.executeScript(message.tabId, {
-            code: `
-                (function() {
-                    var mediaElements = document.querySelectorAll('audio, video');
-                    var foundPlaying = false;
-                    mediaElements.forEach(function(media) {
-                        if (!media.paused) {
-                            foundPlaying = true;
-                            media.pause();
-                        } else if (media.currentTime > 0) {
-                            media.play();
-                        }
-                    });
-                    return foundPlaying ? 'paused' : 'playing';
-                })();
-            `
-        }).then(results => {
-            if (results && results.length > 0) {
-                const newState = results[0];
-                console.log(`Background: Tab ${message.tabId} state changed to: ${newState}`);
-                return { success: true, isPlaying: newState === 'playing' };
-            } else {
-                console.log(`Background: No media elements found in tab ${message.tabId}`);
-                return { success: false, error: 'No media elements found' };
-            }
+        const tabEntry = audibleTabsMap.get(message.tabId);
+        if (tabEntry) {
+            tabEntry.muted = result.isMuted;
+            pushUpdateToPopup();
+        }
+        return result;
+    }).catch(error => {
+        console.error(`Background: Error in toggle_mute for tab ${message.tabId}:`, error);
+        return { success: false, error: error.message };
+    });
+});
+
+
+
+// Bulk actions from the popup header
+
+async function setTabsMuted(tabIds, muted) {
+    await Promise.all(tabIds.map(tabId =>
+        browser.tabs.update(tabId, { muted }).then(() => {
+            const entry = audibleTabsMap.get(tabId);
+            if (entry) entry.muted = muted;
         }).catch(error => {
-            console.error(`Background: Error executing script in tab ${message.tabId}:`, error);
-            return { success: false, error: error.message };
-        });
+            console.error(`Background: Could not ${muted ? 'mute' : 'unmute'} tab ${tabId}:`, error);
+        })
+    ));
+    pushUpdateToPopup();
+}
+
+// Frames a play/pause has to reach: pausing stops every frame that is playing,
+// resuming restarts the frame being listened to and any Web Audio the extension suspended
+function getPlaybackFrameIds(state, playing) {
+    const frameIds = state.frames
+        .filter(frame => playing ? frame.webAudio && frame.webAudio.suspended > 0 : frame.isPlaying)
+        .map(frame => frame.frameId);
+    if (playing || frameIds.length === 0) frameIds.unshift(state.frameId);
+    return [...new Set(frameIds)];
+}
+
+async function setTabPlayback(tabId, playing) {
+    const state = tabMediaState.get(tabId);
+    const targets = state ? getPlaybackFrameIds(state, playing).map(frameId => ({ frameId })) : [{}];
+    const results = await Promise.all(targets.map(options => browser.tabs.sendMessage(tabId, {
+        command: 'execute_set_playback',
+        playing: playing
+    }, options).catch(error => {
+        console.error(`Background: Could not ${playing ? 'resume' : 'pause'} tab ${tabId}:`, error);
+        return { success: false, error: error.message };
+    })));
+    return results.find(result => result && result.success) ||
+        results.find(Boolean) ||
+        { success: false, error: 'No media elements found' };
+}
+
+async function pauseAll() {
+    const playing = getMediaTabsForPopup().filter(tab => tab.isPlaying);
+    const results = await Promise.all(playing.map(tab => setTabPlayback(tab.id, false)));
+    playing.forEach((tab, i) => {
+        if (results[i].success) bulkPausedTabs.add(tab.id);
+    });
+    pushUpdateToPopup();
+    return { success: true, paused: results.filter(result => result.success).length };
+}
+
+async function resumeAll() {
+    const tabIds = Array.from(bulkPausedTabs);
+    bulkPausedTabs.clear();
+    const results = await Promise.all(tabIds.map(tabId => setTabPlayback(tabId, true)));
+    pushUpdateToPopup();
+    return { success: true, resumed: results.filter(result => result.success).length };
+}
+
+// Unmutes one tab and mutes every other listed tab
+async function soloTab(tabId) {
+    const others = getAudibleTabs().map(tab => tab.id).filter(id => id !== tabId);
+    await setTabsMuted(others, true);
+    await setTabsMuted([tabId], false);
+    return { success: true, muted: others.length };
+}
+
+
+// Sleep timer: when it runs out every playing tab fades to silence and pauses,
+// then gets its volume back. It runs on an alarm so closing the popup doesn't stop it.
+const SLEEP_TIMER_ALARM = 'sleep-timer';
+const SLEEP_FADE_MS = 30 * 1000;
+let sleepTimer = null; // { endsAt, endOfTrack, tabId, track, fading }
+
+// Identifies the track a tab is on, to notice when "end of track" has passed
+function describeTrack(state) {
+    const metadata = state.mediaSession && state.mediaSession.metadata;
+    return (metadata && metadata.title) || String(state.duration);
+}
+
+function getTrackEnd(tabId) {
+    const state = tabMediaState.get(tabId);
+    if (!state || !state.isPlaying || !state.duration) return null;
+    return Date.now() + (state.duration - state.currentTime) * 1000 / (state.playbackRate || 1);
+}
+
+// The fade starts early enough to be silent by endsAt
+function scheduleSleepTimer(endsAt) {
+    sleepTimer.endsAt = endsAt;
+    browser.alarms.create(SLEEP_TIMER_ALARM, { when: Math.max(Date.now(), endsAt - SLEEP_FADE_MS) });
+}
+
+function getSleepTimerStatus() {
+    if (!sleepTimer) return { success: true, active: false };
+    return { success: true, active: true, endsAt: sleepTimer.endsAt, endOfTrack: sleepTimer.endOfTrack };
+}
+
+function startSleepTimer({ minutes, endOfTrack }) {
+    if (endOfTrack) {
+        const target = getShortcutTargetTab();
+        const endsAt = target && getTrackEnd(target.id);
+        if (!endsAt) {
+            return { success: false, error: 'Nothing is playing a track of known length' };
+        }
+        sleepTimer = { endOfTrack: true, tabId: target.id, track: describeTrack(tabMediaState.get(target.id)) };
+        scheduleSleepTimer(endsAt);
+    } else {
+        if (!(minutes > 0)) {
+            return { success: false, error: 'Invalid sleep timer duration' };
+        }
+        sleepTimer = { endOfTrack: false, tabId: null, track: null };
+        scheduleSleepTimer(Date.now() + minutes * 60 * 1000);
     }
+    console.log(`Background: Sleep timer set for ${new Date(sleepTimer.endsAt).toLocaleTimeString()}.`);
+    return getSleepTimerStatus();
+}
 
-    if (message.command === "toggle_mute") {
-        console.log(`Background: Received 'toggle_mute' command for tab ${message.tabId}.`);
-        return browser.tabs.get(message.tabId).then(tab => {
-            const isCurrentlyMuted = tab.mutedInfo && tab.mutedInfo.muted;
-            const newMuteState = !isCurrentlyMuted;
-            return browser.tabs.update(message.tabId, { muted: newMuteState }).then(() => {
-                console.log(`Background: Tab ${message.tabId} mute state changed to: ${newMuteState}`);
-                return { success: true, isMuted: newMuteState };
-            });
-        }).then(result => {
-            
-            const tabEntry = audibleTabsMap.get(message.tabId);
-            if (tabEntry) {
-                tabEntry.muted = result.isMuted;
-                pushUpdateToPopup();
-            }
-            return result;
-        }).catch(error => {
-            console.error(`Background: Error in toggle_mute for tab ${message.tabId}:`, error);
-            return { success: false, error: error.message };
+function cancelSleepTimer() {
+    sleepTimer = null;
+    browser.alarms.clear(SLEEP_TIMER_ALARM);
+    return { success: true, active: false };
+}
+
+// Seeking moves the end of the track; a new track means the old one already ended
+function followTrackForSleepTimer(tabId) {
+    if (!sleepTimer || !sleepTimer.endOfTrack || sleepTimer.tabId !== tabId || sleepTimer.fading) return;
+    const state = tabMediaState.get(tabId);
+    if (state && describeTrack(state) !== sleepTimer.track) {
+        sleepTimer.endsAt = Date.now();
+        runSleepTimer();
+        return;
+    }
+    const endsAt = getTrackEnd(tabId);
+    if (endsAt && Math.abs(endsAt - sleepTimer.endsAt) > 2000) {
+        scheduleSleepTimer(endsAt);
+    }
+}
+
+async function runSleepTimer() {
+    if (!sleepTimer || sleepTimer.fading) return;
+    sleepTimer.fading = true;
+    browser.alarms.clear(SLEEP_TIMER_ALARM);
+    const duration = Math.max(1000, Math.min(SLEEP_FADE_MS, sleepTimer.endsAt - Date.now()));
+    const playing = getMediaTabsForPopup().filter(tab => tab.isPlaying);
+    console.log(`Background: Sleep timer fading out ${playing.length} tabs.`);
+
+    await Promise.all(playing.map(async tab => {
+        const result = await browser.tabs.sendMessage(tab.id, {
+            command: 'execute_fade_out',
+            duration: duration
+        }).catch(error => ({ success: false, error: error.message }));
+        if (!result || !result.success) {
+            console.error(`Background: Could not fade out tab ${tab.id}, pausing it instead:`, result && result.error);
+            await setTabPlayback(tab.id, false);
+        }
+    }));
+    sleepTimer = null;
+    pushUpdateToPopup();
+}
+
+browser.alarms.onAlarm.addListener(alarm => {
+    if (alarm.name === SLEEP_TIMER_ALARM) {
+        runSleepTimer();
+    }
+});
+
+
+// Keyboard shortcuts, declared under "commands" in manifest.json and rebindable
+// from the options page
+
+// The pinned primary tab while it's listed, otherwise the most recently active one
+function getShortcutTargetTab() {
+    const tabs = getAudibleTabs();
+    const primary = tabs.find(tab => tab.id === primaryTabId);
+    if (primary) return primary;
+    return tabs.reduce((latest, tab) => (!latest || tab.lastActive > latest.lastActive ? tab : latest), null);
+}
+
+// Mutes every listed tab, or unmutes them all when they are already muted
+function toggleMuteAll() {
+    const tabs = getAudibleTabs();
+    const mute = tabs.some(tab => !tab.muted);
+    return setTabsMuted(tabs.map(tab => tab.id), mute);
+}
+
+async function focusNextSoundingTab() {
+    const sounding = getAudibleTabs().filter(tab => tab.audible);
+    if (sounding.length === 0) return;
+    const [active] = await browser.tabs.query({ active: true, currentWindow: true });
+    const index = sounding.findIndex(tab => active && tab.id === active.id);
+    const next = sounding[(index + 1) % sounding.length];
+    const tab = await browser.tabs.update(next.id, { active: true });
+    await browser.windows.update(tab.windowId, { focused: true });
+}
+
+browser.commands.onCommand.addListener(command => {
+    console.log(`Background: Received keyboard shortcut '${command}'.`);
+    
+    if (command === 'mute-all') {
+        return toggleMuteAll();
+    }
+    if (command === 'focus-next-sounding-tab') {
+        return focusNextSoundingTab().catch(error => {
+            console.error('Background: Error focusing the next sounding tab:', error);
         });
     }
+    
+    const target = getShortcutTargetTab();
+    if (!target) {
+        console.log('Background: No media tab for the shortcut to control.');
+        return;
+    }
+    if (command === 'play-pause') {
+        return dispatchCommand({ command: 'toggle_play_pause', tabId: target.id }, {});
+    }
+    if (command === 'next-track' || command === 'prev-track') {
+        return dispatchCommand({
+            command: 'skip_track',
+            tabId: target.id,
+            direction: command === 'next-track' ? 'next' : 'prev'
+        }, {});
+    }
 });
 
 
@@ -0,0 +1,110 @@
+// Command router: every request to the background page, sent with
+// runtime.sendMessage or over a popup/sidebar port, goes through here. Each
+// command declares the parameters it takes and the fields its successful answers
+// carry; requests that don't match are rejected before the handler runs, answers
+// that don't match are turned into errors, and every answer has the same
+// { success, error } shape.
+//
+// Types are 'tabId', 'number', 'boolean', 'string', 'object', 'array' or an
+// array of allowed values; a trailing '?' makes a field optional (null is then
+// accepted too). `fromTab` commands are only taken from content scripts.
+const commandRoutes = new Map(); // command -> { params, returns, fromTab, handler }
+
+function registerCommand(command, { params = {}, returns = {}, fromTab = false } = {}, handler) {
+    if (commandRoutes.has(command)) {
+        throw new Error(`Command '${command}' is registered twice`);
+    }
+    commandRoutes.set(command, { params, returns, fromTab, handler });
+}
+
+function isValidParam(value, type) {
+    if (Array.isArray(type)) return type.includes(value);
+    switch (type) {
+        case 'tabId':
+            return Number.isInteger(value) && value >= 0;
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array':
+            return Array.isArray(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+// Returns what is wrong with `values` as a message, or null when every field matches
+function checkFields(values, specs) {
+    for (const [name, spec] of Object.entries(specs)) {
+        const optional = typeof spec === 'string' && spec.endsWith('?');
+        const type = optional ? spec.slice(0, -1) : spec;
+        const value = values[name];
+        if (value === undefined || value === null) {
+            if (optional) continue;
+            return `Missing '${name}'`;
+        }
+        if (!isValidParam(value, type)) {
+            return `Invalid '${name}'`;
+        }
+    }
+    return null;
+}
+
+function validateCommand(message, route, sender) {
+    if (route.fromTab && !(sender && sender.tab)) {
+        return `'${message.command}' can only be sent from a tab`;
+    }
+    return checkFields(message, route.params);
+}
+
+// Handlers may return nothing, a result object or a promise of one. A successful
+// answer missing a declared field is a bug in the handler, reported as a failure
+// so callers never read fields that aren't there.
+function normalizeResponse(command, route, result) {
+    if (!result || typeof result !== 'object' || Array.isArray(result)) {
+        result = {};
+    }
+    if (result.success === false) {
+        return { ...result, error: typeof result.error === 'string' && result.error ? result.error : `'${command}' failed` };
+    }
+    const response = { ...result, success: true };
+    const error = checkFields(response, route.returns);
+    if (error) {
+        console.error(`Router: Invalid answer to '${command}':`, error);
+        return { success: false, error: `Invalid answer to '${command}': ${error}` };
+    }
+    return response;
+}
+
+async function dispatchCommand(message, sender) {
+    const command = message && message.command;
+    const route = commandRoutes.get(command);
+    if (!route) {
+        return { success: false, error: `Unknown command '${command}'` };
+    }
+    const error = validateCommand(message, route, sender);
+    if (error) {
+        console.error(`Router: Rejected '${command}':`, error);
+        return { success: false, error };
+    }
+    try {
+        return normalizeResponse(command, route, await route.handler(message, sender));
+    } catch (error) {
+        console.error(`Router: Error in '${command}':`, error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Requests over a port carry a requestId that the answer echoes back
+function handlePortRequest(port, message) {
+    if (!message || message.requestId === undefined) return;
+    dispatchCommand(message, port.sender).then(response => {
+        try {
+            port.postMessage({ command: 'response', requestId: message.requestId, response });
+        } catch (error) {
+            // The popup closed before the answer arrived
+        }
+    });
+}
+
+browser.runtime.onMessage.addListener((message, sender) => dispatchCommand(message, sender));
@@ -0,0 +1,99 @@
+// Ducking: while a priority site (a video call, say) is making sound, every other
+// audible tab drops to a fraction of its volume, and comes back up gradually once
+// the priority tab has been quiet for a moment. Configured on the options page.
+const DUCKING_KEY = 'ducking';
+const DEFAULT_DUCKING = {
+    enabled: false,
+    level: 20, // percent of their own volume the other tabs keep
+    prioritySites: ['meet.google.com', 'zoom.us', 'teams.microsoft.com', 'teams.live.com']
+};
+const DUCK_FADE_MS = 500;
+const UNDUCK_FADE_MS = 2000;
+const UNDUCK_DELAY_MS = 3000; // calls go briefly silent between speakers
+
+let ducking = { ...DEFAULT_DUCKING };
+const duckedTabs = new Set();
+let unduckTimer = null;
+
+function loadDucking(stored) {
+    ducking = { ...DEFAULT_DUCKING, ...stored[DUCKING_KEY] };
+    updateDucking();
+}
+
+browser.storage.local.get(DUCKING_KEY).then(loadDucking);
+
+browser.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[DUCKING_KEY]) {
+        // A new level applies to tabs that are already ducked
+        const previousLevel = ducking.level;
+        loadDucking({ [DUCKING_KEY]: changes[DUCKING_KEY].newValue });
+        if (ducking.enabled && ducking.level !== previousLevel) {
+            duckedTabs.forEach(tabId => setTabDuckLevel(tabId, ducking.level / 100, DUCK_FADE_MS));
+        }
+    }
+});
+
+// Matches the hostname itself and any of its subdomains
+function isPrioritySite(url) {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname;
+    } catch (e) {
+        return false;
+    }
+    return ducking.prioritySites.some(site => hostname === site || hostname.endsWith(`.${site}`));
+}
+
+function setTabDuckLevel(tabId, level, duration) {
+    return browser.tabs.sendMessage(tabId, {
+        command: 'execute_duck',
+        level: level,
+        duration: duration
+    }).catch(error => {
+        console.error(`Ducking: Could not set the duck level of tab ${tabId}:`, error);
+    });
+}
+
+function restoreDuckedTabs() {
+    unduckTimer = null;
+    console.log('Ducking: Restoring tabs', Array.from(duckedTabs));
+    duckedTabs.forEach(tabId => setTabDuckLevel(tabId, 1, UNDUCK_FADE_MS));
+    duckedTabs.clear();
+}
+
+function updateDucking() {
+    const tabs = Array.from(audibleTabsMap.values());
+    const priorityPlaying = ducking.enabled && tabs.some(tab => tab.audible && isPrioritySite(tab.url));
+
+    if (!priorityPlaying) {
+        if (duckedTabs.size === 0) return;
+        if (!ducking.enabled) {
+            clearTimeout(unduckTimer);
+            restoreDuckedTabs();
+        } else if (!unduckTimer) {
+            unduckTimer = setTimeout(restoreDuckedTabs, UNDUCK_DELAY_MS);
+        }
+        return;
+    }
+
+    clearTimeout(unduckTimer);
+    unduckTimer = null;
+    tabs.filter(tab => tab.audible && !isPrioritySite(tab.url) && !duckedTabs.has(tab.id)).forEach(tab => {
+        console.log(`Ducking: Lowering tab ${tab.id} to ${ducking.level}%.`);
+        duckedTabs.add(tab.id);
+        setTabDuckLevel(tab.id, ducking.level / 100, DUCK_FADE_MS);
+    });
+}
+
+browser.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    // The next page starts at its normal volume and gets ducked again if it plays
+    if (changeInfo.url !== undefined) {
+        duckedTabs.delete(tabId);
+    }
+    updateDucking();
+}, { properties: ["audible", "url"] });
+
+browser.tabs.onRemoved.addListener((tabId) => {
+    duckedTabs.delete(tabId);
+    updateDucking();
+});
@@ -0,0 +1,112 @@
+// Exclusive playback ("one audio source at a time"): when a tab starts making
+// sound, pause or mute the tabs that were already playing, and optionally bring
+// them back once the new tab goes quiet. Configured on the options page.
+const EXCLUSIVE_PLAYBACK_KEY = 'exclusivePlayback';
+const DEFAULT_EXCLUSIVE_PLAYBACK = {
+    enabled: false,
+    action: 'pause', // or 'mute'
+    resumePrevious: false,
+    exceptions: [] // hostnames that neither interrupt nor get interrupted
+};
+const EXCLUSIVE_RESUME_DELAY_MS = 3000; // audible drops briefly between tracks and during buffering
+
+let exclusivePlayback = { ...DEFAULT_EXCLUSIVE_PLAYBACK };
+const interruptedBy = new Map(); // tab id that started playing -> [{ tabId, action }] it silenced
+const pendingResumes = new Map(); // tab id -> timeout id
+
+function loadExclusivePlayback(stored) {
+    exclusivePlayback = { ...DEFAULT_EXCLUSIVE_PLAYBACK, ...stored[EXCLUSIVE_PLAYBACK_KEY] };
+}
+
+browser.storage.local.get(EXCLUSIVE_PLAYBACK_KEY).then(loadExclusivePlayback);
+
+browser.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[EXCLUSIVE_PLAYBACK_KEY]) {
+        loadExclusivePlayback({ [EXCLUSIVE_PLAYBACK_KEY]: changes[EXCLUSIVE_PLAYBACK_KEY].newValue });
+    }
+});
+
+// Matches the hostname itself and any of its subdomains
+function isExclusiveException(url) {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname;
+    } catch (e) {
+        return false;
+    }
+    return exclusivePlayback.exceptions.some(exception =>
+        hostname === exception || hostname.endsWith(`.${exception}`));
+}
+
+async function silenceOtherTabs(tabId, url) {
+    if (!exclusivePlayback.enabled || isExclusiveException(url)) return;
+
+    const others = getAudibleTabs().filter(tab =>
+        tab.id !== tabId && tab.audible && !tab.muted && !isExclusiveException(tab.url));
+    const silenced = [];
+    for (const other of others) {
+        if (exclusivePlayback.action === 'pause') {
+            const result = await setTabPlayback(other.id, false);
+            if (result.success) {
+                silenced.push({ tabId: other.id, action: 'pause' });
+                continue;
+            }
+            // Pages we can't pause are muted instead so the sound still stops
+            console.log(`Exclusive playback: Could not pause tab ${other.id}, muting it instead.`);
+        }
+        await setTabsMuted([other.id], true);
+        silenced.push({ tabId: other.id, action: 'mute' });
+    }
+
+    if (silenced.length > 0) {
+        console.log(`Exclusive playback: Tab ${tabId} silenced tabs`, silenced.map(entry => entry.tabId));
+        interruptedBy.set(tabId, (interruptedBy.get(tabId) || []).concat(silenced));
+    }
+}
+
+async function restoreInterruptedTabs(tabId) {
+    const silenced = interruptedBy.get(tabId);
+    interruptedBy.delete(tabId);
+    if (!silenced || !exclusivePlayback.resumePrevious) return;
+
+    for (const { tabId: silencedTabId, action } of silenced) {
+        // Tabs closed in the meantime have nothing to resume
+        if (!audibleTabsMap.has(silencedTabId)) continue;
+        console.log(`Exclusive playback: Restoring tab ${silencedTabId} after tab ${tabId} stopped.`);
+        if (action === 'mute') {
+            await setTabsMuted([silencedTabId], false);
+        } else {
+            await setTabPlayback(silencedTabId, true);
+        }
+    }
+}
+
+function scheduleRestore(tabId) {
+    if (!interruptedBy.has(tabId) || pendingResumes.has(tabId)) return;
+    pendingResumes.set(tabId, setTimeout(async () => {
+        pendingResumes.delete(tabId);
+        const entry = audibleTabsMap.get(tabId);
+        if (entry && entry.audible) return;
+        await restoreInterruptedTabs(tabId);
+    }, EXCLUSIVE_RESUME_DELAY_MS));
+}
+
+browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (changeInfo.audible === true) {
+        clearTimeout(pendingResumes.get(tabId));
+        pendingResumes.delete(tabId);
+        silenceOtherTabs(tabId, tab.url).catch(error => {
+            console.error(`Exclusive playback: Error silencing tabs for tab ${tabId}:`, error);
+        });
+    } else if (changeInfo.audible === false) {
+        scheduleRestore(tabId);
+    }
+}, { properties: ["audible"] });
+
+browser.tabs.onRemoved.addListener((tabId) => {
+    clearTimeout(pendingResumes.get(tabId));
+    pendingResumes.delete(tabId);
+    restoreInterruptedTabs(tabId).catch(error => {
+        console.error(`Exclusive playback: Error restoring tabs after tab ${tabId} closed:`, error);
+    });
+});
@@ -0,0 +1,218 @@
+// Listening history: what played, on which site, when and for how long. Kept in
+// storage.local so it survives restarts and shown in the popup's History view.
+// An entry covers one track (or one page when the site has no track metadata)
+// from the moment it first became audible until the tab moves on.
+const HISTORY_KEY = 'listeningHistory';
+const MAX_HISTORY_ENTRIES = 500;
+const HISTORY_SAVE_DELAY_MS = 10 * 1000;
+const MIN_RESTORE_POSITION = 5; // seconds; restarting from the top is fine below this
+
+let listeningHistory = []; // newest first
+const activeHistoryEntries = new Map(); // tab id -> entry being recorded
+const audibleSince = new Map(); // tab id -> start of the current audible stretch
+const pendingSeeks = new Map(); // tab id -> position to restore, handed out by playbackPositions.js
+let historySaveTimer = null;
+
+function getHostname(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (e) {
+        return '';
+    }
+}
+
+// Fold the running audible stretches into the entries so a crash loses little
+function checkpointListening() {
+    const now = Date.now();
+    for (const [tabId, since] of audibleSince.entries()) {
+        const entry = activeHistoryEntries.get(tabId);
+        if (entry) {
+            entry.listenedMs += now - since;
+            entry.lastHeardAt = now;
+        }
+        audibleSince.set(tabId, now);
+    }
+}
+
+function saveHistory() {
+    historySaveTimer = null;
+    checkpointListening();
+    return browser.storage.local.set({ [HISTORY_KEY]: listeningHistory }).catch(error => {
+        console.error('History: Error saving listening history:', error);
+    });
+}
+
+function scheduleHistorySave() {
+    if (!historySaveTimer) {
+        historySaveTimer = setTimeout(saveHistory, HISTORY_SAVE_DELAY_MS);
+    }
+}
+
+function startHistoryEntry(tab) {
+    const now = Date.now();
+    const entry = {
+        id: `${now}-${tab.id}`,
+        url: tab.url,
+        hostname: getHostname(tab.url),
+        title: tab.title || tab.url,
+        trackTitle: null,
+        artist: null,
+        album: null,
+        artwork: null,
+        startedAt: now,
+        lastHeardAt: now,
+        endedAt: null,
+        listenedMs: 0,
+        position: null,
+        duration: null
+    };
+    listeningHistory.unshift(entry);
+    listeningHistory.length = Math.min(listeningHistory.length, MAX_HISTORY_ENTRIES);
+    activeHistoryEntries.set(tab.id, entry);
+    scheduleHistorySave();
+    return entry;
+}
+
+function markSilent(tabId) {
+    const since = audibleSince.get(tabId);
+    if (since === undefined) return;
+    audibleSince.delete(tabId);
+    const entry = activeHistoryEntries.get(tabId);
+    if (entry) {
+        entry.listenedMs += Date.now() - since;
+        entry.lastHeardAt = Date.now();
+    }
+    scheduleHistorySave();
+}
+
+function endHistoryEntry(tabId) {
+    const wasAudible = audibleSince.has(tabId);
+    markSilent(tabId);
+    const entry = activeHistoryEntries.get(tabId);
+    if (entry) {
+        // Ends when it was last heard, not when the paused tab was finally closed
+        entry.endedAt = entry.lastHeardAt;
+        activeHistoryEntries.delete(tabId);
+        scheduleHistorySave();
+    }
+    return wasAudible;
+}
+
+function markAudible(tab) {
+    // Private windows leave no trace; without an entry, media state updates are ignored too
+    if (tab.incognito) return;
+    const entry = activeHistoryEntries.get(tab.id);
+    if (!entry || entry.url !== tab.url) {
+        endHistoryEntry(tab.id);
+        startHistoryEntry(tab);
+    }
+    if (!audibleSince.has(tab.id)) {
+        audibleSince.set(tab.id, Date.now());
+    }
+}
+
+function updateHistoryFromMediaState(tab, state) {
+    let entry = activeHistoryEntries.get(tab.id);
+    if (!entry) return;
+
+    const metadata = state.mediaSession && state.mediaSession.metadata;
+    if (metadata && metadata.title) {
+        // A new track on the same page (playlists, radio) gets its own entry
+        if (entry.trackTitle && entry.trackTitle !== metadata.title) {
+            const wasAudible = endHistoryEntry(tab.id);
+            entry = startHistoryEntry(tab);
+            if (wasAudible) audibleSince.set(tab.id, Date.now());
+        }
+        entry.trackTitle = metadata.title;
+        entry.title = metadata.title;
+        entry.artist = metadata.artist || null;
+        entry.album = metadata.album || null;
+        entry.artwork = metadata.artwork || null;
+    }
+    if (state.mediaCount > 0) {
+        entry.position = state.currentTime;
+        entry.duration = state.duration;
+    }
+    if (state.isPlaying) {
+        entry.lastHeardAt = Date.now();
+    }
+    scheduleHistorySave();
+}
+
+function searchHistory(query) {
+    const needle = (query || '').trim().toLowerCase();
+    if (!needle) return listeningHistory;
+    return listeningHistory.filter(entry =>
+        [entry.title, entry.artist, entry.album, entry.hostname, entry.url]
+            .some(field => field && field.toLowerCase().includes(needle)));
+}
+
+async function reopenHistoryEntry(id) {
+    const entry = listeningHistory.find(item => item.id === id);
+    if (!entry) {
+        return { success: false, error: 'History entry not found' };
+    }
+    const tab = await browser.tabs.create({ url: entry.url });
+    // Finished tracks start over
+    const finished = entry.duration && entry.position >= entry.duration - 1;
+    if (entry.position >= MIN_RESTORE_POSITION && !finished) {
+        pendingSeeks.set(tab.id, entry.position);
+    }
+    return { success: true, tabId: tab.id, position: pendingSeeks.get(tab.id) || 0 };
+}
+
+const historyReady = browser.storage.local.get(HISTORY_KEY).then(async stored => {
+    listeningHistory = stored[HISTORY_KEY] || [];
+    // Entries still open were cut short by a restart or a crash
+    listeningHistory.forEach(entry => {
+        if (!entry.endedAt) entry.endedAt = entry.lastHeardAt;
+    });
+    const tabs = await browser.tabs.query({ audible: true });
+    tabs.forEach(markAudible);
+}).catch(error => {
+    console.error('History: Error loading listening history:', error);
+});
+
+browser.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+    await historyReady;
+    if (changeInfo.url !== undefined && activeHistoryEntries.has(tabId)) {
+        endHistoryEntry(tabId);
+    }
+    if (tab.audible) {
+        markAudible(tab);
+    } else if (changeInfo.audible === false) {
+        markSilent(tabId);
+    }
+}, { properties: ["audible", "url"] });
+
+browser.tabs.onRemoved.addListener(async (tabId) => {
+    await historyReady;
+    endHistoryEntry(tabId);
+    pendingSeeks.delete(tabId);
+});
+
+registerCommand("get_history", { params: { query: 'string?' }, returns: { entries: 'array' } }, (message) => {
+    return historyReady.then(() => ({ success: true, entries: searchHistory(message.query) }));
+});
+
+registerCommand("clear_history", {}, () => {
+    console.log("History: Clearing listening history.");
+    return historyReady.then(async () => {
+        listeningHistory = [];
+        activeHistoryEntries.clear();
+        audibleSince.clear();
+        await saveHistory();
+        // Whatever is playing right now starts a fresh entry
+        const tabs = await browser.tabs.query({ audible: true });
+        tabs.forEach(markAudible);
+        return { success: true };
+    });
+});
+
+registerCommand("reopen_history_entry", { params: { id: 'string' }, returns: { tabId: 'tabId', position: 'number' } }, (message) => {
+    console.log(`History: Reopening history entry ${message.id}.`);
+    return historyReady.then(() => reopenHistoryEntry(message.id)).catch(error => {
+        console.error(`History: Error reopening history entry ${message.id}:`, error);
+        return { success: false, error: error.message };
+    });
+});
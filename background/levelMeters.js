@@ -0,0 +1,74 @@
+// Live level meters: frames playing media connect an `audio-levels` port and only
+// sample while a popup or the sidebar is connected. Their levels are combined per
+// tab (the loudest recent frame wins) and forwarded to every open popup.
+const LEVEL_STALE_MS = 500; // a frame that stopped reporting no longer counts
+
+const levelPorts = new Set();
+const tabLevels = new Map(); // tabId -> Map(frameId -> { rms, peak, time })
+
+// Called by background.js whenever a popup or sidebar connects or disconnects
+function updateLevelMetering() {
+    const enabled = popupPorts.size > 0;
+    for (const port of levelPorts) {
+        try {
+            port.postMessage({ command: 'set_level_metering', enabled });
+        } catch (error) {
+            levelPorts.delete(port);
+        }
+    }
+    if (!enabled) tabLevels.clear();
+}
+
+function forwardTabLevel(tabId) {
+    const frames = tabLevels.get(tabId);
+    if (!frames || popupPorts.size === 0) return;
+    const now = Date.now();
+    let rms = 0;
+    let peak = 0;
+    for (const level of frames.values()) {
+        if (now - level.time > LEVEL_STALE_MS) continue;
+        rms = Math.max(rms, level.rms);
+        peak = Math.max(peak, level.peak);
+    }
+
+    const message = { command: 'audio_levels', tabId, rms, peak };
+    for (const port of popupPorts) {
+        try {
+            port.postMessage(message);
+        } catch (error) {
+            console.error('Error sending levels to popup:', error);
+            popupPorts.delete(port);
+        }
+    }
+}
+
+browser.runtime.onConnect.addListener(port => {
+    if (port.name !== 'audio-levels' || !port.sender || !port.sender.tab) return;
+    const tabId = port.sender.tab.id;
+    const frameId = port.sender.frameId || 0;
+    levelPorts.add(port);
+
+    port.onMessage.addListener(message => {
+        if (message.command !== 'audio_level') return;
+        const rms = Number(message.rms);
+        const peak = Number(message.peak);
+        if (!Number.isFinite(rms) || !Number.isFinite(peak)) return;
+        if (!tabLevels.has(tabId)) tabLevels.set(tabId, new Map());
+        tabLevels.get(tabId).set(frameId, { rms, peak, time: Date.now() });
+        forwardTabLevel(tabId);
+    });
+
+    port.onDisconnect.addListener(() => {
+        levelPorts.delete(port);
+        const frames = tabLevels.get(tabId);
+        if (!frames) return;
+        frames.delete(frameId);
+        if (frames.size === 0) tabLevels.delete(tabId);
+    });
+
+    port.postMessage({ command: 'set_level_metering', enabled: popupPorts.size > 0 });
+});
+
+browser.tabs.onRemoved.addListener(tabId => {
+    tabLevels.delete(tabId);
+});
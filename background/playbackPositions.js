@@ -0,0 +1,115 @@
+// Resume where you left off: content scripts report how far long media has
+// played on each URL, and when that URL is opened again the page offers to seek
+// back there. Short clips, finished media and old positions are not kept.
+const PLAYBACK_POSITIONS_KEY = 'playbackPositions';
+const RESUME_PLAYBACK_KEY = 'resumePlayback';
+const DEFAULT_RESUME_PLAYBACK = {
+    enabled: true,
+    minDurationMinutes: 10, // shorter media isn't worth resuming
+    expireDays: 30
+};
+const FINISHED_MARGIN_SECONDS = 30; // this close to the end counts as done (credits, outros)
+const POSITIONS_SAVE_DELAY_MS = 5000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let resumePlayback = { ...DEFAULT_RESUME_PLAYBACK };
+let playbackPositions = {}; // url -> { position, duration, savedAt }
+let positionsSaveTimer = null;
+
+function loadResumePlayback(stored) {
+    resumePlayback = { ...DEFAULT_RESUME_PLAYBACK, ...stored[RESUME_PLAYBACK_KEY] };
+}
+
+function isPositionExpired(saved) {
+    return Date.now() - saved.savedAt > resumePlayback.expireDays * DAY_MS;
+}
+
+function savePlaybackPositions() {
+    positionsSaveTimer = null;
+    Object.keys(playbackPositions).forEach(url => {
+        if (isPositionExpired(playbackPositions[url])) delete playbackPositions[url];
+    });
+    return browser.storage.local.set({ [PLAYBACK_POSITIONS_KEY]: playbackPositions }).catch(error => {
+        console.error('Positions: Error saving playback positions:', error);
+    });
+}
+
+function schedulePositionsSave() {
+    if (!positionsSaveTimer) {
+        positionsSaveTimer = setTimeout(savePlaybackPositions, POSITIONS_SAVE_DELAY_MS);
+    }
+}
+
+function recordPlaybackPosition(url, position, duration) {
+    if (!resumePlayback.enabled || !url || !duration) return;
+    if (duration < resumePlayback.minDurationMinutes * 60) return;
+
+    if (position >= duration - FINISHED_MARGIN_SECONDS) {
+        if (playbackPositions[url]) {
+            delete playbackPositions[url];
+            schedulePositionsSave();
+        }
+        return;
+    }
+    playbackPositions[url] = { position, duration, savedAt: Date.now() };
+    schedulePositionsSave();
+}
+
+// A tab reopened from the popup's history seeks straight away; anything else
+// only gets the saved position to offer
+function lookUpPlaybackPosition(tabId, url) {
+    if (pendingSeeks.has(tabId)) {
+        const position = pendingSeeks.get(tabId);
+        pendingSeeks.delete(tabId);
+        return { success: true, position, autoResume: true };
+    }
+    const saved = playbackPositions[url];
+    if (!resumePlayback.enabled || !saved || isPositionExpired(saved)) {
+        return { success: true, position: null };
+    }
+    return { success: true, position: saved.position, duration: saved.duration, savedAt: saved.savedAt };
+}
+
+const positionsReady = browser.storage.local.get([PLAYBACK_POSITIONS_KEY, RESUME_PLAYBACK_KEY]).then(stored => {
+    loadResumePlayback(stored);
+    playbackPositions = { ...stored[PLAYBACK_POSITIONS_KEY], ...playbackPositions };
+}).catch(error => {
+    console.error('Positions: Error loading playback positions:', error);
+});
+
+browser.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[RESUME_PLAYBACK_KEY]) {
+        loadResumePlayback({ [RESUME_PLAYBACK_KEY]: changes[RESUME_PLAYBACK_KEY].newValue });
+    }
+});
+
+registerCommand("save_playback_position", { fromTab: true, params: { url: 'string', position: 'number', duration: 'number' } }, (message, sender) => {
+    // Nothing played in a private window is remembered
+    if (sender.tab.incognito) return;
+    positionsReady.then(() => recordPlaybackPosition(message.url, message.position, message.duration));
+});
+
+registerCommand("get_playback_position", {
+    fromTab: true,
+    params: { url: 'string' },
+    returns: { position: 'number?', duration: 'number?', savedAt: 'number?', autoResume: 'boolean?' }
+}, (message, sender) => {
+    return positionsReady.then(() => lookUpPlaybackPosition(sender.tab.id, message.url));
+});
+
+registerCommand("forget_playback_position", { fromTab: true, params: { url: 'string' } }, (message) => {
+    return positionsReady.then(() => {
+        delete playbackPositions[message.url];
+        schedulePositionsSave();
+        return { success: true };
+    });
+});
+
+registerCommand("clear_playback_positions", {}, () => {
+    console.log("Positions: Forgetting all playback positions.");
+    return positionsReady.then(async () => {
+        playbackPositions = {};
+        await savePlaybackPositions();
+        return { success: true };
+    });
+});
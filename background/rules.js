@@ -0,0 +1,175 @@
+// Auto-mute rules: "mute autoplay on news sites", "mute tabs I'm not looking at",
+// "mute everything 22:00–07:00". Each rule has a URL match pattern, an optional
+// schedule window, the tab state it applies to and an action. Rules are evaluated
+// whenever a tab starts playing, navigates, gets activated or the window focus
+// changes, and once a minute for schedules. Mute and volume are undone when the
+// rule stops matching; pauses are not. Configured and logged on the options page.
+const AUTO_MUTE_RULES_KEY = 'autoMuteRules';
+const RULE_LOG_KEY = 'autoMuteRuleLog';
+const RULE_LOG_LIMIT = 100;
+const RULES_ALARM = 'auto-mute-rules';
+
+let autoMuteRules = [];
+const ruleEffects = new Map(); // tab id -> { ruleId, action, previousVolume }
+let rulesEvaluation = Promise.resolve();
+
+// Converts a WebExtension match pattern ("*://*.example.com/*") to a RegExp
+function matchPatternToRegExp(pattern) {
+    if (pattern === '<all_urls>') return /^(https?|wss?|file|ftp):\/\//;
+    const match = /^(\*|https?|wss?|file|ftp):\/\/(\*|\*\.[^/*]+|[^/*]+)?(\/.*)$/.exec(pattern);
+    if (!match) return null;
+    const [, scheme, host = '', path] = match;
+    const escape = text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    const schemePart = scheme === '*' ? 'https?' : escape(scheme);
+    let hostPart;
+    if (host === '*') hostPart = '[^/]+';
+    else if (host.startsWith('*.')) hostPart = `([^/]+\\.)?${escape(host.slice(2))}`;
+    else hostPart = escape(host);
+    const pathPart = path.split('*').map(escape).join('.*');
+    return new RegExp(`^${schemePart}://${hostPart}(:\\d+)?${pathPart}$`);
+}
+
+function minutesOfDay(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// No window means all day; a window that ends before it starts runs past midnight
+function isWithinSchedule(schedule, now) {
+    if (!schedule) return true;
+    if (schedule.days && schedule.days.length > 0 && !schedule.days.includes(now.getDay())) return false;
+    if (!schedule.start || !schedule.end) return true;
+    const current = now.getHours() * 60 + now.getMinutes();
+    const start = minutesOfDay(schedule.start);
+    const end = minutesOfDay(schedule.end);
+    return start <= end ? current >= start && current < end : current >= start || current < end;
+}
+
+function ruleMatches(rule, tab, foregroundTabId, now) {
+    if (!rule.enabled) return false;
+    const pattern = matchPatternToRegExp(rule.pattern);
+    if (!pattern || !pattern.test(tab.url)) return false;
+    if (!isWithinSchedule(rule.schedule, now)) return false;
+    if (rule.tabState === 'background' && tab.id === foregroundTabId) return false;
+    if (rule.tabState === 'foreground' && tab.id !== foregroundTabId) return false;
+    return true;
+}
+
+// The active tab of the focused window; none while another application has focus
+async function getForegroundTabId() {
+    const win = await browser.windows.getLastFocused({ populate: true });
+    if (!win || !win.focused) return null;
+    const active = win.tabs.find(tab => tab.active);
+    return active ? active.id : null;
+}
+
+async function logRuleFired(rule, tab, action) {
+    const stored = await browser.storage.local.get(RULE_LOG_KEY);
+    const log = stored[RULE_LOG_KEY] || [];
+    log.unshift({ time: Date.now(), ruleId: rule.id, ruleName: rule.name, tabId: tab.id, title: tab.title, url: tab.url, action });
+    log.length = Math.min(log.length, RULE_LOG_LIMIT);
+    await browser.storage.local.set({ [RULE_LOG_KEY]: log });
+}
+
+function setTabVolumeByRule(tabId, volume) {
+    const state = tabMediaState.get(tabId);
+    return browser.tabs.sendMessage(tabId, {
+        command: 'execute_set_volume',
+        volume: volume
+    }, state ? { frameId: state.frameId } : {});
+}
+
+async function applyRule(rule, tab) {
+    console.log(`Rules: Rule "${rule.name}" fired for tab ${tab.id} (${rule.action}).`);
+    const effect = { ruleId: rule.id, action: rule.action };
+    if (rule.action === 'mute') {
+        // Tabs the user muted themselves stay muted when the rule lets go
+        if (tab.muted) return;
+        await setTabsMuted([tab.id], true);
+    } else if (rule.action === 'pause') {
+        await setTabPlayback(tab.id, false);
+    } else if (rule.action === 'volume') {
+        const state = tabMediaState.get(tab.id);
+        effect.previousVolume = state && typeof state.volume === 'number' ? state.volume : 1;
+        await setTabVolumeByRule(tab.id, rule.volume / 100);
+    }
+    ruleEffects.set(tab.id, effect);
+    await logRuleFired(rule, tab, rule.action === 'volume' ? `volume ${rule.volume}%` : rule.action);
+}
+
+async function revertRule(tabId) {
+    const effect = ruleEffects.get(tabId);
+    ruleEffects.delete(tabId);
+    if (!effect || !audibleTabsMap.has(tabId)) return;
+    console.log(`Rules: Undoing ${effect.action} on tab ${tabId}.`);
+    if (effect.action === 'mute') {
+        await setTabsMuted([tabId], false);
+    } else if (effect.action === 'volume') {
+        await setTabVolumeByRule(tabId, effect.previousVolume);
+    }
+}
+
+async function evaluateRules() {
+    if (autoMuteRules.length === 0 && ruleEffects.size === 0) return;
+    const foregroundTabId = await getForegroundTabId();
+    const now = new Date();
+    for (const tab of Array.from(audibleTabsMap.values())) {
+        const effect = ruleEffects.get(tab.id);
+        // Silent tabs only matter while a rule holds an effect on them
+        if (!tab.audible && !effect) continue;
+        const rule = autoMuteRules.find(candidate => ruleMatches(candidate, tab, foregroundTabId, now));
+        if (effect && (!rule || rule.id !== effect.ruleId)) {
+            await revertRule(tab.id);
+        }
+        if (rule && tab.audible && !ruleEffects.has(tab.id)) {
+            await applyRule(rule, tab);
+        }
+    }
+}
+
+// Evaluations run one after another so two events can't both apply a rule
+function scheduleRulesEvaluation() {
+    rulesEvaluation = rulesEvaluation.then(evaluateRules).catch(error => {
+        console.error('Rules: Error evaluating auto-mute rules:', error);
+    });
+}
+
+function loadAutoMuteRules(rules) {
+    autoMuteRules = rules || [];
+    if (autoMuteRules.some(rule => rule.enabled && rule.schedule)) {
+        browser.alarms.create(RULES_ALARM, { periodInMinutes: 1 });
+    } else {
+        browser.alarms.clear(RULES_ALARM);
+    }
+    scheduleRulesEvaluation();
+}
+
+browser.storage.local.get(AUTO_MUTE_RULES_KEY).then(stored => loadAutoMuteRules(stored[AUTO_MUTE_RULES_KEY]));
+
+browser.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[AUTO_MUTE_RULES_KEY]) {
+        loadAutoMuteRules(changes[AUTO_MUTE_RULES_KEY].newValue);
+    }
+});
+
+browser.alarms.onAlarm.addListener(alarm => {
+    if (alarm.name === RULES_ALARM) {
+        scheduleRulesEvaluation();
+    }
+});
+
+browser.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    // A new page is judged afresh
+    if (changeInfo.url !== undefined) {
+        const effect = ruleEffects.get(tabId);
+        if (effect && effect.action === 'pause') ruleEffects.delete(tabId);
+    }
+    scheduleRulesEvaluation();
+}, { properties: ["audible", "url"] });
+
+browser.tabs.onActivated.addListener(scheduleRulesEvaluation);
+browser.windows.onFocusChanged.addListener(scheduleRulesEvaluation);
+
+browser.tabs.onRemoved.addListener((tabId) => {
+    ruleEffects.delete(tabId);
+});
@@ -0,0 +1,129 @@
+// Listening statistics: audible time per origin and per day, plus how much of it
+// the tab spent muted. Fed by the audible/mute transitions that background.js's
+// tabs.onUpdated listener already sees, stored locally and shown on stats/stats.html.
+const LISTENING_STATS_KEY = 'listeningStats';
+const STATS_RETENTION_DAYS = 366;
+const STATS_SAVE_DELAY_MS = 30 * 1000;
+
+// { 'YYYY-MM-DD': { origin: { audibleMs, mutedMs } } }, days in local time
+let listeningStats = {};
+const listeningClocks = new Map(); // tab id -> { origin, muted, since }
+let statsSaveTimer = null;
+
+function getDayKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Credit the time between `from` and `to`, split at local midnights
+function addListeningTime(origin, muted, from, to) {
+    let start = from;
+    while (start < to) {
+        const day = new Date(start);
+        const nextMidnight = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1).getTime();
+        const end = Math.min(to, nextMidnight);
+        const dayStats = listeningStats[getDayKey(day)] || (listeningStats[getDayKey(day)] = {});
+        const siteStats = dayStats[origin] || (dayStats[origin] = { audibleMs: 0, mutedMs: 0 });
+        siteStats.audibleMs += end - start;
+        if (muted) siteStats.mutedMs += end - start;
+        start = end;
+    }
+}
+
+function pruneListeningStats() {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - STATS_RETENTION_DAYS);
+    const oldestKept = getDayKey(cutoff);
+    Object.keys(listeningStats).forEach(day => {
+        if (day < oldestKept) delete listeningStats[day];
+    });
+}
+
+// Move the time on running clocks into the totals without stopping them
+function checkpointListeningClocks() {
+    const now = Date.now();
+    for (const clock of listeningClocks.values()) {
+        addListeningTime(clock.origin, clock.muted, clock.since, now);
+        clock.since = now;
+    }
+}
+
+function saveListeningStats() {
+    clearTimeout(statsSaveTimer);
+    statsSaveTimer = null;
+    checkpointListeningClocks();
+    pruneListeningStats();
+    // Keep saving while anything plays, so quitting or crashing mid-track loses
+    // at most one delay's worth of listening
+    if (listeningClocks.size > 0) scheduleStatsSave();
+    return browser.storage.local.set({ [LISTENING_STATS_KEY]: listeningStats }).catch(error => {
+        console.error('Statistics: Error saving listening statistics:', error);
+    });
+}
+
+function scheduleStatsSave() {
+    if (!statsSaveTimer) {
+        statsSaveTimer = setTimeout(saveListeningStats, STATS_SAVE_DELAY_MS);
+    }
+}
+
+function stopListeningClock(tabId) {
+    const clock = listeningClocks.get(tabId);
+    if (!clock) return;
+    listeningClocks.delete(tabId);
+    addListeningTime(clock.origin, clock.muted, clock.since, Date.now());
+    scheduleStatsSave();
+}
+
+// Start, stop or switch the tab's clock to match its current audible/muted state
+function updateListeningClock(tab) {
+    // Private windows aren't counted
+    if (tab.incognito) return;
+    const origin = getOrigin(tab.url);
+    const muted = !!(tab.mutedInfo && tab.mutedInfo.muted);
+    const clock = listeningClocks.get(tab.id);
+    if (clock && clock.origin === origin && clock.muted === muted && tab.audible) return;
+
+    stopListeningClock(tab.id);
+    if (tab.audible && origin) {
+        listeningClocks.set(tab.id, { origin, muted, since: Date.now() });
+        scheduleStatsSave();
+    }
+}
+
+const statsReady = browser.storage.local.get(LISTENING_STATS_KEY).then(async stored => {
+    // Keep anything counted before storage answered
+    const earlier = listeningStats;
+    listeningStats = stored[LISTENING_STATS_KEY] || {};
+    Object.entries(earlier).forEach(([day, sites]) => {
+        Object.entries(sites).forEach(([origin, time]) => {
+            const dayStats = listeningStats[day] || (listeningStats[day] = {});
+            const siteStats = dayStats[origin] || (dayStats[origin] = { audibleMs: 0, mutedMs: 0 });
+            siteStats.audibleMs += time.audibleMs;
+            siteStats.mutedMs += time.mutedMs;
+        });
+    });
+    const tabs = await browser.tabs.query({ audible: true });
+    tabs.forEach(updateListeningClock);
+}).catch(error => {
+    console.error('Statistics: Error loading listening statistics:', error);
+});
+
+registerCommand("get_listening_stats", { returns: { stats: 'object' } }, () => {
+    return statsReady.then(() => {
+        checkpointListeningClocks();
+        return { success: true, stats: listeningStats };
+    });
+});
+
+registerCommand("clear_listening_stats", {}, () => {
+    console.log("Statistics: Clearing listening statistics.");
+    return statsReady.then(async () => {
+        listeningStats = {};
+        const now = Date.now();
+        listeningClocks.forEach(clock => { clock.since = now; });
+        await saveListeningStats();
+        return { success: true };
+    });
+});
@@ -0,0 +1,27 @@
+// Bandcamp album and track pages
+registerSiteAdapter({
+    name: 'bandcamp',
+    matches: [/^https:\/\/[^/]+\.bandcamp\.com\//],
+
+    ...playPauseToggle(['.inline_player .playbutton'], doc => {
+        const button = doc.querySelector('.inline_player .playbutton');
+        return !!button && button.classList.contains('playing');
+    }),
+
+    next(doc) {
+        return clickFirstVisible(doc, ['.inline_player .nextbutton']);
+    },
+
+    prev(doc) {
+        return clickFirstVisible(doc, ['.inline_player .prevbutton']);
+    },
+
+    getMetadata(doc) {
+        return buildMetadata({
+            title: textOf(doc, '.inline_player .title_link .title') || textOf(doc, '#name-section .trackTitle'),
+            artist: textOf(doc, '#name-section h3 span a'),
+            album: textOf(doc, '#name-section .trackTitle'),
+            artwork: attributeOf(doc, '#tralbumArt img', 'src')
+        });
+    }
+});
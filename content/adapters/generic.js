@@ -0,0 +1,54 @@
+// Generic adapter: common control markup and plain media elements. Used for
+// every site without its own adapter and for actions an adapter leaves out.
+registerGenericAdapter({
+    name: 'generic',
+
+    nextSelectors: [
+        '[data-testid="control-button-skip-forward"]',
+        '[data-testid="next"]',
+        'button[title*="next" i]',
+        'button[aria-label*="next" i]',
+        '.next', '.next-button', '.skip-next', '.skip-forward'
+    ],
+
+    prevSelectors: [
+        '[data-testid="control-button-skip-back"]',
+        '[data-testid="previous"]',
+        'button[title*="previous" i]',
+        'button[aria-label*="previous" i]',
+        '.prev', '.previous', '.previous-button', '.skip-previous', '.skip-back'
+    ],
+
+    getMedia(doc) {
+        const elements = Array.from(doc.querySelectorAll('audio, video'));
+        return elements.find(media => !media.paused) || elements.find(media => media.currentTime > 0) || elements[0] || null;
+    },
+
+    play(doc) {
+        const media = this.getMedia(doc);
+        if (!media) return false;
+        media.play();
+        return true;
+    },
+
+    pause(doc) {
+        const playing = Array.from(doc.querySelectorAll('audio, video')).filter(media => !media.paused);
+        playing.forEach(media => media.pause());
+        return playing.length > 0;
+    },
+
+    next(doc) {
+        return clickFirstVisible(doc, this.nextSelectors);
+    },
+
+    prev(doc) {
+        return clickFirstVisible(doc, this.prevSelectors);
+    },
+
+    seek(doc, seconds) {
+        const media = this.getMedia(doc);
+        if (!media) return false;
+        media.currentTime = seconds;
+        return true;
+    }
+});
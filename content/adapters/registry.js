@@ -0,0 +1,97 @@
+// Site adapter registry. Each site lives in its own file in this directory,
+// declares the URLs it handles and implements whichever of these it can:
+//   play(doc), pause(doc), next(doc), prev(doc), seek(doc, seconds), like(doc)
+//       -> true when the action was handled
+//   getMetadata(doc) -> { title, artist, album, artwork } or null
+// Adapters only touch the document they are given, so they can be run against
+// saved HTML. Anything an adapter leaves out falls through to the generic adapter.
+const siteAdapters = [];
+let genericAdapter = null;
+
+function registerSiteAdapter(adapter) {
+    siteAdapters.push(adapter);
+}
+
+function registerGenericAdapter(adapter) {
+    genericAdapter = adapter;
+}
+
+function findSiteAdapter(url) {
+    return siteAdapters.find(adapter => adapter.matches.some(pattern => pattern.test(url))) || null;
+}
+
+// Run an action on the site's adapter first, then on the generic one
+function runAdapterAction(url, doc, action, ...args) {
+    for (const adapter of [findSiteAdapter(url), genericAdapter]) {
+        if (!adapter || typeof adapter[action] !== 'function') continue;
+        try {
+            if (adapter[action](doc, ...args)) {
+                return { success: true, method: `adapter-${adapter.name}` };
+            }
+        } catch (e) {
+            console.log(`Adapter ${adapter.name} failed to ${action}:`, e);
+        }
+    }
+    return { success: false, error: `No adapter could ${action} on this page` };
+}
+
+function getAdapterMetadata(url, doc) {
+    const adapter = findSiteAdapter(url);
+    if (!adapter || typeof adapter.getMetadata !== 'function') return null;
+    try {
+        return adapter.getMetadata(doc);
+    } catch (e) {
+        console.log(`Adapter ${adapter.name} failed to read metadata:`, e);
+        return null;
+    }
+}
+
+// Helpers shared by adapters
+
+function isElementVisible(element) {
+    const style = element.ownerDocument.defaultView.getComputedStyle(element);
+    return style.display !== 'none' &&
+           style.visibility !== 'hidden' &&
+           style.opacity !== '0' &&
+           element.offsetWidth > 0 &&
+           element.offsetHeight > 0;
+}
+
+function clickFirstVisible(doc, selectors) {
+    for (const selector of selectors) {
+        const element = Array.from(doc.querySelectorAll(selector)).find(isElementVisible);
+        if (element) {
+            console.log('Clicking control with selector:', selector);
+            element.click();
+            return true;
+        }
+    }
+    return false;
+}
+
+function textOf(doc, selector) {
+    const element = doc.querySelector(selector);
+    return element ? element.textContent.trim() : '';
+}
+
+function attributeOf(doc, selector, attribute) {
+    const element = doc.querySelector(selector);
+    return element ? element.getAttribute(attribute) || '' : '';
+}
+
+// Builds play()/pause() for players with a single toggle button
+function playPauseToggle(selectors, isPlaying) {
+    return {
+        play: doc => isPlaying(doc) || clickFirstVisible(doc, selectors),
+        pause: doc => !isPlaying(doc) || clickFirstVisible(doc, selectors)
+    };
+}
+
+// Drops empty fields and returns null when nothing useful is left
+function buildMetadata(fields) {
+    const metadata = {};
+    Object.keys(fields).forEach(key => {
+        if (fields[key]) metadata[key] = fields[key];
+    });
+    return metadata.title ? metadata : null;
+}
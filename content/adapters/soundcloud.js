@@ -0,0 +1,33 @@
+// SoundCloud
+registerSiteAdapter({
+    name: 'soundcloud',
+    matches: [/^https:\/\/(www\.|m\.)?soundcloud\.com\//],
+
+    ...playPauseToggle(['.playControls .playControl'], doc => {
+        const button = doc.querySelector('.playControls .playControl');
+        return !!button && button.classList.contains('playing');
+    }),
+
+    next(doc) {
+        return clickFirstVisible(doc, ['.playControls .skipControl__next']);
+    },
+
+    prev(doc) {
+        return clickFirstVisible(doc, ['.playControls .skipControl__previous']);
+    },
+
+    like(doc) {
+        return clickFirstVisible(doc, ['.playbackSoundBadge__like']);
+    },
+
+    getMetadata(doc) {
+        // Artwork is a background image on a span
+        const artwork = doc.querySelector('.playbackSoundBadge .sc-artwork span');
+        const match = artwork ? /url\("?([^")]+)"?\)/.exec(artwork.style.backgroundImage) : null;
+        return buildMetadata({
+            title: attributeOf(doc, '.playbackSoundBadge__titleLink', 'title') || textOf(doc, '.playbackSoundBadge__titleLink'),
+            artist: attributeOf(doc, '.playbackSoundBadge__lightLink', 'title') || textOf(doc, '.playbackSoundBadge__lightLink'),
+            artwork: match ? match[1] : ''
+        });
+    }
+});
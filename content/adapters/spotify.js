@@ -0,0 +1,32 @@
+// Spotify web player. It plays through elements that never enter the DOM, so
+// the player bar is the only way to read or change what is playing.
+registerSiteAdapter({
+    name: 'spotify',
+    matches: [/^https:\/\/open\.spotify\.com\//],
+
+    ...playPauseToggle(['[data-testid="control-button-playpause"]'], doc => {
+        // The button is labelled with what it will do next
+        const label = attributeOf(doc, '[data-testid="control-button-playpause"]', 'aria-label');
+        return /pause/i.test(label);
+    }),
+
+    next(doc) {
+        return clickFirstVisible(doc, ['[data-testid="control-button-skip-forward"]', '.spoticon-skip-forward']);
+    },
+
+    prev(doc) {
+        return clickFirstVisible(doc, ['[data-testid="control-button-skip-back"]', '.spoticon-skip-back']);
+    },
+
+    like(doc) {
+        return clickFirstVisible(doc, ['[data-testid="now-playing-widget"] [data-testid="add-button"]']);
+    },
+
+    getMetadata(doc) {
+        return buildMetadata({
+            title: textOf(doc, '[data-testid="context-item-info-title"]'),
+            artist: textOf(doc, '[data-testid="context-item-info-artist"]'),
+            artwork: attributeOf(doc, '[data-testid="now-playing-widget"] img', 'src')
+        });
+    }
+});
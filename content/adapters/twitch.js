@@ -0,0 +1,17 @@
+// Twitch. Live streams have no tracks to skip and no position to seek to.
+registerSiteAdapter({
+    name: 'twitch',
+    matches: [/^https:\/\/(www\.|m\.)?twitch\.tv\//],
+
+    ...playPauseToggle(['[data-a-target="player-play-pause-button"]'], doc => {
+        return attributeOf(doc, '[data-a-target="player-play-pause-button"]', 'data-a-player-state') === 'playing';
+    }),
+
+    getMetadata(doc) {
+        return buildMetadata({
+            title: textOf(doc, '[data-a-target="stream-title"]'),
+            artist: textOf(doc, '[data-a-target="channel-info-content"] h1') || textOf(doc, 'h1.tw-title'),
+            artwork: attributeOf(doc, '[data-a-target="channel-info-content"] img.tw-image-avatar', 'src')
+        });
+    }
+});
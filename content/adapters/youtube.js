@@ -0,0 +1,31 @@
+// YouTube (www and mobile). YouTube Music has its own adapter.
+registerSiteAdapter({
+    name: 'youtube',
+    matches: [/^https:\/\/(www\.|m\.)?youtube\.com\//],
+
+    ...playPauseToggle(['.ytp-play-button'], doc => {
+        const video = doc.querySelector('#movie_player video, video.html5-main-video');
+        return !!video && !video.paused;
+    }),
+
+    next(doc) {
+        return clickFirstVisible(doc, ['.ytp-next-button', '.ytp-next-arrow']);
+    },
+
+    prev(doc) {
+        return clickFirstVisible(doc, ['.ytp-prev-button', '.ytp-prev-arrow']);
+    },
+
+    like(doc) {
+        return clickFirstVisible(doc, ['like-button-view-model button', '#segmented-like-button button']);
+    },
+
+    getMetadata(doc) {
+        const videoId = new URL(doc.location.href).searchParams.get('v');
+        return buildMetadata({
+            title: textOf(doc, 'h1.ytd-watch-metadata') || textOf(doc, '#title h1'),
+            artist: textOf(doc, '#owner #channel-name a') || textOf(doc, 'ytd-channel-name a'),
+            artwork: videoId ? `https://i.ytimg.com/vi/${videoId}/mqdefault.jpg` : ''
+        });
+    }
+});
@@ -0,0 +1,33 @@
+// YouTube Music
+registerSiteAdapter({
+    name: 'youtube-music',
+    matches: [/^https:\/\/music\.youtube\.com\//],
+
+    ...playPauseToggle(['#play-pause-button'], doc => {
+        const video = doc.querySelector('video');
+        return !!video && !video.paused;
+    }),
+
+    next(doc) {
+        return clickFirstVisible(doc, ['ytmusic-player-bar .next-button']);
+    },
+
+    prev(doc) {
+        return clickFirstVisible(doc, ['ytmusic-player-bar .previous-button']);
+    },
+
+    like(doc) {
+        return clickFirstVisible(doc, ['ytmusic-player-bar #button-shape-like button', 'ytmusic-player-bar .like']);
+    },
+
+    getMetadata(doc) {
+        // The byline reads "Artist • Album • Year"
+        const byline = textOf(doc, 'ytmusic-player-bar .byline').split('•').map(part => part.trim());
+        return buildMetadata({
+            title: textOf(doc, 'ytmusic-player-bar .title'),
+            artist: byline[0],
+            album: byline[1],
+            artwork: attributeOf(doc, 'ytmusic-player-bar img.image', 'src')
+        });
+    }
+});
@@ -0,0 +1,87 @@
+// Autoplay blocker: pauses media that starts making sound before the user has
+// interacted with the page. Runs at document_start so it sees the first play.
+// Shares its globals with skipTrack.js, which reports autoplayBlocked to the popup
+// and calls allowExtensionPlayback() when the popup or a shortcut starts playback.
+const AUTOPLAY_BLOCKER_KEY = 'autoplayBlocker';
+const USER_GESTURE_EVENTS = ['pointerdown', 'keydown', 'touchstart'];
+const EXTENSION_PLAYBACK_GRACE_MS = 1500;
+
+let autoplaySettings = null; // null until storage answers
+let hasUserGesture = false;
+let extensionPlaybackUntil = 0;
+let autoplayBlocked = false; // reported so the popup row can offer "Allow this site"
+const earlyPlayingMedia = new Set(); // started before the settings were known
+const approvedMedia = new WeakSet();
+
+function hostnameMatches(list) {
+    const hostname = location.hostname;
+    return (list || []).some(site => hostname === site || hostname.endsWith(`.${site}`));
+}
+
+function isAutoplayBlockedHere() {
+    if (!autoplaySettings) return false;
+    if (hostnameMatches(autoplaySettings.block)) return true;
+    return !!autoplaySettings.enabled && !hostnameMatches(autoplaySettings.allow);
+}
+
+// Playback the user asked for through the popup or a shortcut is not autoplay
+function allowExtensionPlayback() {
+    extensionPlaybackUntil = Date.now() + EXTENSION_PLAYBACK_GRACE_MS;
+    autoplayBlocked = false;
+}
+
+function isAudibleMedia(media) {
+    return !media.paused && !media.muted && media.volume > 0;
+}
+
+function blockAutoplay(media) {
+    if (!isAudibleMedia(media) || approvedMedia.has(media)) return;
+    if (!autoplaySettings && !hasUserGesture) {
+        earlyPlayingMedia.add(media);
+        return;
+    }
+    // Once allowed to play, later volume changes (ours included) don't count as autoplay
+    if (hasUserGesture || Date.now() < extensionPlaybackUntil || !isAutoplayBlockedHere()) {
+        approvedMedia.add(media);
+        return;
+    }
+    console.log('Autoplay blocked:', media.currentSrc || media.src);
+    media.pause();
+    autoplayBlocked = true;
+    // skipTrack.js isn't loaded yet at document_start; its first report includes this
+    if (typeof scheduleStateReport === 'function') scheduleStateReport(true);
+}
+
+USER_GESTURE_EVENTS.forEach(type => {
+    window.addEventListener(type, event => {
+        if (event.isTrusted) {
+            hasUserGesture = true;
+            autoplayBlocked = false;
+        }
+    }, true);
+});
+
+// Media events don't bubble, so listen in the capture phase. A muted video that
+// unmutes itself later counts as starting to make sound.
+['play', 'playing', 'volumechange'].forEach(type => {
+    document.addEventListener(type, event => {
+        if (event.target instanceof HTMLMediaElement) blockAutoplay(event.target);
+    }, true);
+});
+
+function loadAutoplaySettings(settings) {
+    autoplaySettings = { enabled: false, allow: [], block: [], ...settings };
+}
+
+browser.storage.local.get(AUTOPLAY_BLOCKER_KEY).then(stored => {
+    loadAutoplaySettings(stored[AUTOPLAY_BLOCKER_KEY]);
+    earlyPlayingMedia.forEach(blockAutoplay);
+    earlyPlayingMedia.clear();
+});
+
+browser.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[AUTOPLAY_BLOCKER_KEY]) {
+        loadAutoplaySettings(changes[AUTOPLAY_BLOCKER_KEY].newValue);
+        if (!isAutoplayBlockedHere()) autoplayBlocked = false;
+    }
+});
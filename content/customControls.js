@@ -0,0 +1,46 @@
+// User-defined selectors for a site's next/previous/play-pause controls, set up
+// on the options page or with the element picker. Consulted before anything built in.
+const CUSTOM_SELECTORS_KEY = 'customSelectors'; // { [hostname]: { next, prev, playPause } }
+let customSelectors = {};
+
+function loadCustomSelectors(stored) {
+    customSelectors = (stored[CUSTOM_SELECTORS_KEY] || {})[location.hostname] || {};
+}
+
+browser.storage.local.get(CUSTOM_SELECTORS_KEY).then(loadCustomSelectors).catch(error => {
+    console.log('Could not load custom selectors:', error);
+});
+
+browser.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[CUSTOM_SELECTORS_KEY]) {
+        loadCustomSelectors({ [CUSTOM_SELECTORS_KEY]: changes[CUSTOM_SELECTORS_KEY].newValue });
+    }
+});
+
+function hasCustomControl(action) {
+    return !!customSelectors[action];
+}
+
+// action is 'next', 'prev' or 'playPause'
+function clickCustomControl(action) {
+    const selector = customSelectors[action];
+    if (!selector) {
+        return { success: false, error: `No custom ${action} selector for this site` };
+    }
+    try {
+        const element = document.querySelector(selector);
+        if (element) {
+            console.log('Clicking custom control with selector:', selector);
+            // SVG icons saved before the picker chose their button have no click()
+            if (typeof element.click === 'function') {
+                element.click();
+            } else {
+                element.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, view: window }));
+            }
+            return { success: true, method: 'custom-selector' };
+        }
+        return { success: false, error: `Custom ${action} selector matched nothing: ${selector}` };
+    } catch (e) {
+        return { success: false, error: `Invalid custom ${action} selector: ${selector}` };
+    }
+}
@@ -0,0 +1,208 @@
+// Click-to-pick overlay: walks the user through clicking the page's next,
+// previous and play/pause controls and saves a selector for each.
+// Players often react to presses rather than clicks, so those are held back too
+const PICKER_SWALLOWED_EVENTS = ['mousedown', 'mouseup', 'pointerdown', 'pointerup'];
+const PICKER_STEPS = [
+    { action: 'next', label: 'Next track' },
+    { action: 'prev', label: 'Previous track' },
+    { action: 'playPause', label: 'Play/Pause' }
+];
+
+let activePicker = null;
+
+// Clicks usually land on the <svg>/<path> icon inside a player button; the
+// button itself is what has to be saved
+function getPickTarget(element) {
+    return element.closest('button, a, [role="button"]') || element;
+}
+
+// Prefer stable attributes, then fall back to a structural path
+function buildSelector(element) {
+    const isUnique = selector => {
+        try {
+            return document.querySelectorAll(selector).length === 1;
+        } catch (e) {
+            return false;
+        }
+    };
+
+    if (element.id && isUnique(`#${CSS.escape(element.id)}`)) {
+        return `#${CSS.escape(element.id)}`;
+    }
+
+    const tag = element.tagName.toLowerCase();
+    for (const attribute of ['data-testid', 'data-a-target', 'aria-label', 'title', 'name']) {
+        const value = element.getAttribute(attribute);
+        if (value) {
+            const selector = `${tag}[${attribute}="${CSS.escape(value)}"]`;
+            if (isUnique(selector)) return selector;
+        }
+    }
+
+    const parts = [];
+    let current = element;
+    while (current && current.nodeType === Node.ELEMENT_NODE && current !== document.documentElement) {
+        if (current.id) {
+            parts.unshift(`#${CSS.escape(current.id)}`);
+            if (isUnique(parts.join(' > '))) break;
+        } else {
+            const sameTag = Array.from(current.parentElement ? current.parentElement.children : [])
+                .filter(sibling => sibling.tagName === current.tagName);
+            const index = sameTag.indexOf(current) + 1;
+            const part = current.tagName.toLowerCase();
+            parts.unshift(sameTag.length > 1 ? `${part}:nth-of-type(${index})` : part);
+        }
+        if (isUnique(parts.join(' > '))) break;
+        current = current.parentElement;
+    }
+    return parts.join(' > ');
+}
+
+function createPickerOverlay() {
+    const host = document.createElement('div');
+    host.style.cssText = 'position: fixed; inset: 0; z-index: 2147483647; pointer-events: none;';
+    const root = host.attachShadow({ mode: 'closed' });
+    root.innerHTML = `
+        <style>
+            .highlight {
+                position: fixed;
+                border: 2px solid #5d8eff;
+                background: rgba(93, 142, 255, 0.2);
+                border-radius: 4px;
+                pointer-events: none;
+                display: none;
+            }
+            .banner {
+                position: fixed;
+                top: 12px;
+                left: 50%;
+                transform: translateX(-50%);
+                display: flex;
+                align-items: center;
+                gap: 10px;
+                padding: 10px 14px;
+                border-radius: 10px;
+                background: #11172f;
+                color: #f0f2ff;
+                border: 1px solid #2a3655;
+                box-shadow: 0 8px 24px rgba(0, 0, 0, 0.3);
+                font: 600 13px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                pointer-events: auto;
+            }
+            button {
+                background: #2d3a5c;
+                color: #f0f2ff;
+                border: none;
+                border-radius: 6px;
+                padding: 4px 10px;
+                font: inherit;
+                cursor: pointer;
+            }
+        </style>
+        <div class="highlight"></div>
+        <div class="banner">
+            <span class="prompt"></span>
+            <button class="skip">Skip</button>
+            <button class="cancel">Cancel</button>
+        </div>
+    `;
+    (document.body || document.documentElement).appendChild(host);
+    return {
+        host,
+        highlight: root.querySelector('.highlight'),
+        banner: root.querySelector('.banner'),
+        prompt: root.querySelector('.prompt'),
+        skip: root.querySelector('.skip'),
+        cancel: root.querySelector('.cancel')
+    };
+}
+
+function startElementPicker() {
+    if (activePicker) return { success: true, alreadyActive: true };
+
+    const overlay = createPickerOverlay();
+    const picked = {};
+    let step = 0;
+
+    const showStep = () => {
+        overlay.prompt.textContent = `Click the ${PICKER_STEPS[step].label} control (Esc to cancel)`;
+    };
+
+    const finish = async save => {
+        document.removeEventListener('mousemove', onMouseMove, true);
+        document.removeEventListener('click', onClick, true);
+        document.removeEventListener('keydown', onKeyDown, true);
+        PICKER_SWALLOWED_EVENTS.forEach(type => document.removeEventListener(type, swallow, true));
+        activePicker = null;
+
+        if (save && Object.keys(picked).length > 0) {
+            const stored = await browser.storage.local.get(CUSTOM_SELECTORS_KEY);
+            const allSelectors = stored[CUSTOM_SELECTORS_KEY] || {};
+            allSelectors[location.hostname] = { ...allSelectors[location.hostname], ...picked };
+            await browser.storage.local.set({ [CUSTOM_SELECTORS_KEY]: allSelectors });
+            overlay.highlight.style.display = 'none';
+            overlay.prompt.textContent = `Saved controls for ${location.hostname}`;
+            overlay.skip.remove();
+            overlay.cancel.remove();
+            setTimeout(() => overlay.host.remove(), 1500);
+        } else {
+            overlay.host.remove();
+        }
+    };
+
+    const advance = () => {
+        step++;
+        if (step >= PICKER_STEPS.length) {
+            finish(true);
+        } else {
+            showStep();
+        }
+    };
+
+    const isOverlay = target => target === overlay.host;
+
+    const onMouseMove = event => {
+        if (isOverlay(event.target)) return;
+        const rect = getPickTarget(event.target).getBoundingClientRect();
+        Object.assign(overlay.highlight.style, {
+            display: 'block',
+            top: `${rect.top}px`,
+            left: `${rect.left}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`
+        });
+    };
+
+    const onClick = event => {
+        if (isOverlay(event.target)) return;
+        // The click picks the control, it must not operate it
+        event.preventDefault();
+        event.stopPropagation();
+        picked[PICKER_STEPS[step].action] = buildSelector(getPickTarget(event.target));
+        advance();
+    };
+
+    const swallow = event => {
+        if (isOverlay(event.target)) return;
+        event.preventDefault();
+        event.stopPropagation();
+    };
+
+    const onKeyDown = event => {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            finish(false);
+        }
+    };
+
+    overlay.skip.addEventListener('click', advance);
+    overlay.cancel.addEventListener('click', () => finish(false));
+    document.addEventListener('mousemove', onMouseMove, true);
+    document.addEventListener('click', onClick, true);
+    document.addEventListener('keydown', onKeyDown, true);
+    PICKER_SWALLOWED_EVENTS.forEach(type => document.addEventListener(type, swallow, true));
+
+    activePicker = overlay;
+    showStep();
+    return { success: true };
+}
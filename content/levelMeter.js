@@ -0,0 +1,98 @@
+// Live level meters: a frame that plays media keeps an `audio-levels` port to the
+// background, which switches sampling on only while a popup or the sidebar is open.
+// Every playing element is measured through the Analyser in its Web Audio pipeline
+// and the frame's loudest RMS/peak is streamed a few times a second.
+const LEVEL_SAMPLE_INTERVAL = 100;
+const LEVEL_ROUTE_RETRY_DELAY = 5000; // the AudioContext stays blocked until the page is interacted with
+
+let levelPort = null;
+let levelSampler = null;
+let levelSamples = null;
+let lastLevelSilent = true;
+let routingForMeters = false;
+let nextMeterRouteAttempt = 0;
+
+function connectLevelPort() {
+    if (levelPort) return;
+    try {
+        levelPort = browser.runtime.connect({ name: 'audio-levels' });
+    } catch (error) {
+        console.log('Could not connect level meter port:', error);
+        return;
+    }
+    levelPort.onMessage.addListener(message => {
+        if (message.command === 'set_level_metering') setLevelMetering(message.enabled);
+    });
+    levelPort.onDisconnect.addListener(() => {
+        levelPort = null;
+        setLevelMetering(false);
+    });
+}
+
+function setLevelMetering(enabled) {
+    if (enabled === !!levelSampler) return;
+    clearInterval(levelSampler);
+    levelSampler = enabled ? setInterval(sampleLevels, LEVEL_SAMPLE_INTERVAL) : null;
+    lastLevelSilent = true;
+}
+
+// Playing elements join the pipeline with neutral settings so they can be metered;
+// cross-origin media stays out of it and simply has no meter
+function routeForMetering(elements) {
+    if (routingForMeters || Date.now() < nextMeterRouteAttempt) return;
+    routingForMeters = true;
+    getRunningAudioContext().then(context => {
+        elements.forEach(media => {
+            if (!audioGraphs.has(media) && routeMedia(media, context)) {
+                configureAudioGraph(audioGraphs.get(media), context);
+            }
+        });
+    }).catch(() => {
+        nextMeterRouteAttempt = Date.now() + LEVEL_ROUTE_RETRY_DELAY;
+    }).finally(() => {
+        routingForMeters = false;
+    });
+}
+
+function measureLevel(analyser) {
+    if (!levelSamples || levelSamples.length !== analyser.fftSize) {
+        levelSamples = new Float32Array(analyser.fftSize);
+    }
+    analyser.getFloatTimeDomainData(levelSamples);
+    let sum = 0;
+    let peak = 0;
+    for (const sample of levelSamples) {
+        sum += sample * sample;
+        peak = Math.max(peak, Math.abs(sample));
+    }
+    return { rms: Math.sqrt(sum / levelSamples.length), peak };
+}
+
+function sampleLevels() {
+    if (!levelPort) return;
+    const playing = getMediaElements().filter(isMediaPlaying);
+    if (playing.some(media => !audioGraphs.has(media) && !unroutableMedia.has(media))) {
+        routeForMetering(playing);
+    }
+
+    const graphs = playing.map(media => audioGraphs.get(media)).filter(Boolean);
+    const silent = graphs.length === 0;
+    // A frame that stops playing sends one last zero so the meter drops, then goes quiet
+    if (silent && lastLevelSilent) return;
+    lastLevelSilent = silent;
+
+    let rms = 0;
+    let peak = 0;
+    graphs.forEach(graph => {
+        const level = measureLevel(graph.analyser);
+        rms = Math.max(rms, level.rms);
+        peak = Math.max(peak, level.peak);
+    });
+    levelPort.postMessage({ command: 'audio_level', rms, peak });
+}
+
+document.addEventListener('playing', event => {
+    if (event.target instanceof HTMLMediaElement) connectLevelPort();
+}, true);
+
+if (getMediaElements().some(isMediaPlaying)) connectLevelPort();
@@ -0,0 +1,47 @@
+// Wraps the page's navigator.mediaSession.setActionHandler so the handlers the
+// site registers can be called like a hardware media key would. Patched
+// synchronously through Firefox's Xray vision (wrappedJSObject/exportFunction)
+// at document_start, before any page script runs, so no handler is missed.
+// Shares its globals with skipTrack.js.
+const mediaSessionActions = new Set();
+const mediaSessionHandlers = new Map(); // action -> the page's handler
+
+function hasMediaSessionAction(action) {
+    return mediaSessionActions.has(action);
+}
+
+function invokeMediaSessionAction(action, details = {}) {
+    const handler = mediaSessionHandlers.get(action);
+    if (!handler) {
+        return { success: false, error: `The page has no '${action}' handler` };
+    }
+    try {
+        const actionDetails = { action };
+        if (details.seekTime !== undefined) actionDetails.seekTime = details.seekTime;
+        if (details.seekOffset !== undefined) actionDetails.seekOffset = details.seekOffset;
+        handler(cloneInto(actionDetails, window.wrappedJSObject));
+        return { success: true, method: 'media-session' };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+}
+
+(function patchMediaSession() {
+    const pageWindow = window.wrappedJSObject;
+    if (!pageWindow || !pageWindow.MediaSession) return;
+    const prototype = pageWindow.MediaSession.prototype;
+    const originalSetActionHandler = prototype.setActionHandler;
+
+    exportFunction(function (action, handler) {
+        // Register with the browser first so unsupported actions still throw for the site
+        const result = originalSetActionHandler.call(this, action, handler);
+        if (typeof handler === 'function') {
+            mediaSessionHandlers.set(action, handler);
+            mediaSessionActions.add(action);
+        } else {
+            mediaSessionHandlers.delete(action);
+            mediaSessionActions.delete(action);
+        }
+        return result;
+    }, prototype, { defineAs: 'setActionHandler' });
+})();
@@ -0,0 +1,84 @@
+// Keeps track of the AudioContexts the page plays through and of shadow roots it
+// attaches. Like mediaSessionHook.js it patches the page synchronously through
+// Firefox's Xray vision at document_start, so nothing created by page scripts is
+// missed. Shares its globals with skipTrack.js.
+const pageAudioContexts = { total: 0, running: 0, suspended: 0 };
+const trackedAudioContexts = new Set();
+const suspendedAudioContexts = new Set(); // suspended by the extension, the only ones it resumes
+
+function countPageAudioContexts() {
+    let running = 0;
+    let suspended = 0;
+    trackedAudioContexts.forEach(context => {
+        if (context.state === 'running') running++;
+        if (context.state === 'suspended' && suspendedAudioContexts.has(context)) suspended++;
+    });
+    pageAudioContexts.total = trackedAudioContexts.size;
+    pageAudioContexts.running = running;
+    pageAudioContexts.suspended = suspended;
+    // skipTrack.js only loads at document_idle
+    if (typeof scheduleStateReport === 'function') scheduleStateReport(true);
+}
+
+// A context counts once the page connects something to its speakers; offline
+// contexts that only render into buffers never do
+function trackAudioContext(context) {
+    if (trackedAudioContexts.has(context) || typeof context.startRendering === 'function') return;
+    trackedAudioContexts.add(context);
+    context.addEventListener('statechange', () => {
+        if (context.state === 'closed') trackedAudioContexts.delete(context);
+        // Once it runs again, whoever resumed it owns it again
+        if (context.state !== 'suspended') suspendedAudioContexts.delete(context);
+        countPageAudioContexts();
+    });
+    countPageAudioContexts();
+}
+
+// Suspends every running context of the page, or resumes the ones suspended here
+function setPageAudioContextsPlaying(playing) {
+    let changed = 0;
+    trackedAudioContexts.forEach(context => {
+        if (!playing && context.state === 'running') {
+            suspendedAudioContexts.add(context);
+            context.suspend().catch(() => suspendedAudioContexts.delete(context));
+            changed++;
+        } else if (playing && suspendedAudioContexts.has(context)) {
+            context.resume().catch(() => {});
+            changed++;
+        }
+    });
+    if (changed === 0) {
+        return { success: false, error: `No audio context to ${playing ? 'resume' : 'suspend'}` };
+    }
+    return { success: true, method: 'audio-context', contexts: changed };
+}
+
+(function patchPageAudio() {
+    const pageWindow = window.wrappedJSObject;
+    if (!pageWindow) return;
+
+    if (pageWindow.AudioNode) {
+        const prototype = pageWindow.AudioNode.prototype;
+        const originalConnect = prototype.connect;
+        exportFunction(function (...args) {
+            const result = originalConnect.apply(this, args);
+            if (args[0] instanceof AudioDestinationNode) {
+                trackAudioContext(this.context);
+            }
+            return result;
+        }, prototype, { defineAs: 'connect' });
+    }
+
+    // Players built from web components often attach their shadow root after the
+    // media observer has scanned the host
+    const elementPrototype = pageWindow.Element.prototype;
+    const originalAttachShadow = elementPrototype.attachShadow;
+    exportFunction(function (...args) {
+        const root = originalAttachShadow.apply(this, args);
+        const host = this;
+        setTimeout(() => {
+            if (host.isConnected && typeof onShadowRootAttached === 'function') onShadowRootAttached(host);
+        }, 0);
+        return root;
+    }, elementPrototype, { defineAs: 'attachShadow' });
+})();
@@ -0,0 +1,151 @@
+// Resume where you left off: reports how far the page's media has played so the
+// background can remember it, and offers to jump back there when the page is
+// opened again. The background decides which media is long enough to keep.
+const POSITION_SAVE_INTERVAL = 5000;
+const RESUME_OFFER_TIMEOUT = 15000;
+const RESUME_TOLERANCE_SECONDS = 10; // already this close to the saved spot, nothing to offer
+
+let resumeCheckedUrl = null; // page URL whose saved position was already looked up
+let resumeOfferPending = false; // don't overwrite the saved position while the user decides
+let resumeOffer = null;
+
+function getPositionKey() {
+    return location.href.split('#')[0];
+}
+
+function formatResumeTime(seconds) {
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+function reportPlaybackPosition(media) {
+    // Private windows don't leave positions behind; the background ignores them too
+    if (browser.extension.inIncognitoContext) return;
+    // Until the new page's media was looked up, the element may still hold the previous video
+    if (resumeOfferPending || resumeCheckedUrl !== getPositionKey()) return;
+    const duration = getFiniteDuration(media);
+    if (!duration) return;
+    browser.runtime.sendMessage({
+        command: 'save_playback_position',
+        url: getPositionKey(),
+        position: media.currentTime,
+        duration: duration
+    }).catch(error => {
+        console.log('Could not save the playback position:', error);
+    });
+}
+
+function hideResumeOffer() {
+    if (!resumeOffer) return;
+    clearTimeout(resumeOffer.timeout);
+    resumeOffer.host.remove();
+    resumeOffer = null;
+    resumeOfferPending = false;
+}
+
+function showResumeOffer(position, url) {
+    hideResumeOffer();
+    const host = document.createElement('div');
+    host.style.cssText = 'position: fixed; left: 16px; bottom: 16px; z-index: 2147483647;';
+    const root = host.attachShadow({ mode: 'closed' });
+    root.innerHTML = `
+        <style>
+            .offer {
+                display: flex;
+                align-items: center;
+                gap: 10px;
+                padding: 10px 14px;
+                border-radius: 10px;
+                background: #11172f;
+                color: #f0f2ff;
+                border: 1px solid #2a3655;
+                box-shadow: 0 8px 24px rgba(0, 0, 0, 0.3);
+                font: 13px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            }
+            button {
+                padding: 5px 10px;
+                border: none;
+                border-radius: 6px;
+                background: #2d3a5c;
+                color: #f0f2ff;
+                font: inherit;
+                font-weight: 700;
+                cursor: pointer;
+            }
+            .resume {
+                background: #5d8eff;
+                color: white;
+            }
+        </style>
+        <div class="offer">
+            <span class="label"></span>
+            <button class="resume">Resume</button>
+            <button class="restart">Start over</button>
+        </div>
+    `;
+    root.querySelector('.label').textContent = `Continue from ${formatResumeTime(position)}?`;
+    root.querySelector('.resume').addEventListener('click', () => {
+        hideResumeOffer();
+        seekPrimaryMedia(position);
+    });
+    root.querySelector('.restart').addEventListener('click', () => {
+        hideResumeOffer();
+        browser.runtime.sendMessage({ command: 'forget_playback_position', url }).catch(error => {
+            console.log('Could not forget the playback position:', error);
+        });
+    });
+    (document.body || document.documentElement).appendChild(host);
+    resumeOffer = { host, timeout: setTimeout(hideResumeOffer, RESUME_OFFER_TIMEOUT) };
+}
+
+// Look up this page's saved position once its media knows how long it is
+async function checkResumePosition(media) {
+    const url = getPositionKey();
+    if (url === resumeCheckedUrl || !getFiniteDuration(media)) return;
+    resumeCheckedUrl = url;
+    hideResumeOffer();
+    resumeOfferPending = true;
+    try {
+        const saved = await browser.runtime.sendMessage({ command: 'get_playback_position', url });
+        // Navigated elsewhere in the meantime, or already there
+        if (!saved || saved.position == null || getPositionKey() !== url) return;
+        if (Math.abs(media.currentTime - saved.position) < RESUME_TOLERANCE_SECONDS) return;
+
+        if (saved.autoResume) {
+            seekPrimaryMedia(saved.position);
+        } else {
+            showResumeOffer(saved.position, url);
+        }
+    } catch (error) {
+        console.log('Could not look up the playback position:', error);
+    } finally {
+        if (!resumeOffer) resumeOfferPending = false;
+    }
+}
+
+// Capture, because media events don't bubble
+document.addEventListener('loadedmetadata', event => {
+    if (event.target instanceof HTMLMediaElement) checkResumePosition(event.target);
+}, true);
+
+document.addEventListener('pause', event => {
+    if (event.target instanceof HTMLMediaElement) reportPlaybackPosition(event.target);
+}, true);
+
+document.addEventListener('ended', event => {
+    if (event.target instanceof HTMLMediaElement) reportPlaybackPosition(event.target);
+}, true);
+
+setInterval(() => {
+    const media = getPrimaryMedia();
+    if (media && isMediaPlaying(media)) reportPlaybackPosition(media);
+}, POSITION_SAVE_INTERVAL);
+
+// Media that loaded before this script ran
+const initialMedia = getPrimaryMedia();
+if (initialMedia && initialMedia.readyState >= HTMLMediaElement.HAVE_METADATA) {
+    checkResumePosition(initialMedia);
+}
@@ -1,20 +1,638 @@
-// Cache DOM elements for better performance
-const cache = {
-    mediaElements: null,
-    lastUpdate: 0,
-    CACHE_DURATION: 1000 // 1 second cache
-};
+// Media observer: tracks every <audio>/<video> element in this frame, shadow DOM
+// included, and the page's AudioContexts, and reports the aggregated playback
+// state to the background script
+const MEDIA_SELECTOR = 'audio, video';
+const MEDIA_EVENTS = ['play', 'playing', 'pause', 'ended', 'timeupdate', 'volumechange', 'loadedmetadata', 'durationchange', 'emptied'];
+const STATE_REPORT_INTERVAL = 1000; // timeupdate fires several times a second, report at most once per second
+const MEDIA_SESSION_POLL_INTERVAL = 2000; // Media Session has no change events, so metadata is polled
+
+const trackedMedia = new Set();
+let lastPlayedMedia = null;
+let lastReportTime = 0;
+let pendingReport = null;
+let hasReportedMedia = false;
+let lastMediaSessionInfo = 'null';
+let siteVolume = null; // Volume remembered for this site, applied to every media element
+
+function trackMedia(media) {
+    if (trackedMedia.has(media)) return;
+    trackedMedia.add(media);
+    applySiteVolume(media);
+    applySitePlaybackRate(media);
+    if (duckLevel < 1) {
+        duckedMedia.set(media, media.volume);
+        media.volume *= duckLevel;
+    }
+    MEDIA_EVENTS.forEach(type => media.addEventListener(type, onMediaEvent));
+}
+
+function untrackDetachedMedia() {
+    for (const media of trackedMedia) {
+        if (!media.isConnected) {
+            MEDIA_EVENTS.forEach(type => media.removeEventListener(type, onMediaEvent));
+            trackedMedia.delete(media);
+            if (lastPlayedMedia === media) lastPlayedMedia = null;
+        }
+    }
+}
+
+// Content scripts may look into closed shadow roots as well as open ones
+function getShadowRoot(element) {
+    return element.openOrClosedShadowRoot || element.shadowRoot || null;
+}
+
+function scanForMedia(root) {
+    if (root.matches && root.matches(MEDIA_SELECTOR)) trackMedia(root);
+    if (!root.querySelectorAll) return;
+    root.querySelectorAll(MEDIA_SELECTOR).forEach(trackMedia);
+    if (root.nodeType === Node.ELEMENT_NODE) observeShadowRoot(getShadowRoot(root));
+    root.querySelectorAll('*').forEach(element => observeShadowRoot(getShadowRoot(element)));
+}
+
+// Shadow roots are searched and watched like the document itself
+function observeShadowRoot(shadowRoot) {
+    if (!shadowRoot || observedShadowRoots.has(shadowRoot)) return;
+    observedShadowRoots.add(shadowRoot);
+    mediaObserver.observe(shadowRoot, { childList: true, subtree: true });
+    scanForMedia(shadowRoot);
+}
 
 function getMediaElements() {
-    const now = Date.now();
-    if (!cache.mediaElements || (now - cache.lastUpdate) > cache.CACHE_DURATION) {
-        cache.mediaElements = Array.from(document.querySelectorAll('audio, video'));
-        cache.lastUpdate = now;
+    untrackDetachedMedia();
+    return Array.from(trackedMedia);
+}
+
+function isMediaPlaying(media) {
+    return !media.paused && !media.ended;
+}
+
+// The element the popup controls: the one that played last if it's still playing,
+// otherwise any playing element, otherwise the most recently played one
+function getPrimaryMedia() {
+    const elements = getMediaElements();
+    if (lastPlayedMedia && isMediaPlaying(lastPlayedMedia)) return lastPlayedMedia;
+    return elements.find(isMediaPlaying) ||
+        lastPlayedMedia ||
+        elements.find(media => media.currentTime > 0) ||
+        elements[0] ||
+        null;
+}
+
+function getFiniteDuration(media) {
+    return isFinite(media.duration) ? media.duration : null;
+}
+
+// Prefer the smallest artwork that still looks sharp as a thumbnail
+function pickArtwork(artwork) {
+    const images = Array.from(artwork || []).map(image => ({
+        src: image.src,
+        size: parseInt((image.sizes || '').split('x')[0], 10) || 0
+    }));
+    if (images.length === 0) return null;
+    const sharp = images.filter(image => image.size >= 64).sort((a, b) => a.size - b.size);
+    return (sharp[0] || images.sort((a, b) => b.size - a.size)[0]).src;
+}
+
+function getMediaSessionInfo() {
+    if (!('mediaSession' in navigator)) return null;
+    const metadata = navigator.mediaSession.metadata;
+    return {
+        playbackState: navigator.mediaSession.playbackState,
+        actions: Array.from(mediaSessionActions),
+        metadata: metadata ? {
+            title: metadata.title,
+            artist: metadata.artist,
+            album: metadata.album,
+            artwork: pickArtwork(metadata.artwork)
+        } : getAdapterMetadata(location.href, document)
+    };
+}
+
+function getSiteAdapterInfo() {
+    const adapter = findSiteAdapter(location.href);
+    return adapter ? {
+        name: adapter.name,
+        canLike: typeof adapter.like === 'function',
+        canNext: typeof adapter.next === 'function',
+        canPrev: typeof adapter.prev === 'function'
+    } : null;
+}
+
+// Whether this frame should answer playback commands sent to the whole tab
+// Games and synths play through the page's own AudioContexts rather than media
+// elements; those only count as the frame's audio when nothing else plays here
+function playsThroughWebAudio() {
+    return getMediaElements().length === 0 && mediaSessionActions.size === 0 &&
+        (pageAudioContexts.running > 0 || pageAudioContexts.suspended > 0);
+}
+
+function canControlPlayback() {
+    return getMediaElements().length > 0 || mediaSessionActions.size > 0 ||
+        !!findSiteAdapter(location.href) || hasCustomControl('playPause') || playsThroughWebAudio();
+}
+
+// Sites like Spotify play through elements that never enter the DOM; their
+// Media Session metadata is then the only sign of media in the frame
+function hasMediaToReport(state) {
+    return state.mediaCount > 0 || !!(state.mediaSession && state.mediaSession.metadata) || !!state.webAudio;
+}
+
+function getMediaState() {
+    const elements = getMediaElements();
+    const playingCount = elements.filter(isMediaPlaying).length;
+    const primary = getPrimaryMedia();
+    const mediaSession = getMediaSessionInfo();
+    const sessionPlaying = elements.length === 0 && !!mediaSession && mediaSession.playbackState === 'playing';
+    const webAudio = playsThroughWebAudio();
+    return {
+        mediaCount: elements.length,
+        playingCount: playingCount,
+        isPlaying: playingCount > 0 || sessionPlaying || (webAudio && pageAudioContexts.running > 0),
+        isPaused: (elements.length > 0 && playingCount === 0) || (!!mediaSession && mediaSession.playbackState === 'paused') ||
+            (webAudio && pageAudioContexts.running === 0),
+        webAudio: webAudio ? { running: pageAudioContexts.running, suspended: pageAudioContexts.suspended } : null,
+        currentTime: primary ? primary.currentTime : 0,
+        duration: primary ? getFiniteDuration(primary) : null,
+        // The user's level, not the temporarily ducked one
+        volume: primary ? (duckedMedia.has(primary) ? duckedMedia.get(primary) : primary.volume) : siteVolume,
+        ducked: duckLevel < 1,
+        autoplayBlocked: autoplayBlocked,
+        // Embedded players are allowed by their own site, not the tab's
+        autoplayBlockedHost: autoplayBlocked ? location.hostname : null,
+        playbackRate: primary ? primary.playbackRate : sitePlaybackRate,
+        preservesPitch: primary ? primary.preservesPitch !== false : sitePreservesPitch,
+        audioProcessing: {
+            boost: audioProcessing.boost,
+            normalize: audioProcessing.normalize,
+            unsupported: elements.some(media => unroutableMedia.has(media))
+        },
+        mediaSession: mediaSession,
+        siteAdapter: getSiteAdapterInfo(),
+        customControls: { next: hasCustomControl('next'), prev: hasCustomControl('prev') },
+        elements: elements.map(media => ({
+            kind: media.tagName.toLowerCase(),
+            paused: media.paused,
+            ended: media.ended,
+            muted: media.muted,
+            volume: media.volume,
+            currentTime: media.currentTime,
+            duration: getFiniteDuration(media),
+            primary: media === primary
+        }))
+    };
+}
+
+function reportMediaState() {
+    pendingReport = null;
+    lastReportTime = Date.now();
+    const state = getMediaState();
+    lastMediaSessionInfo = JSON.stringify(state.mediaSession);
+    // Frames without media stay silent so they don't overwrite the frame that has it
+    if (!hasMediaToReport(state) && !hasReportedMedia) return;
+    hasReportedMedia = hasMediaToReport(state);
+    browser.runtime.sendMessage({ command: 'media_state', state }).catch(error => {
+        console.log('Could not report media state:', error);
+    });
+}
+
+function scheduleStateReport(immediate) {
+    if (pendingReport) {
+        if (!immediate) return;
+        clearTimeout(pendingReport);
+    }
+    const wait = immediate ? 0 : Math.max(0, STATE_REPORT_INTERVAL - (Date.now() - lastReportTime));
+    pendingReport = setTimeout(reportMediaState, wait);
+}
+
+// The document is going away: a removed iframe, a navigation or a closed tab. Its
+// media goes with it, so a final empty report clears this frame in the background
+// before the next document (which may have no media and stay silent) takes over.
+window.addEventListener('pagehide', () => {
+    clearTimeout(pendingReport);
+    pendingReport = null;
+    if (!hasReportedMedia) return;
+    hasReportedMedia = false;
+    const state = { mediaCount: 0, playingCount: 0, isPlaying: false, isPaused: false };
+    browser.runtime.sendMessage({ command: 'media_state', state }).catch(error => {
+        console.log('Could not report media state:', error);
+    });
+});
+
+// A document restored from the back/forward cache reports its media again
+window.addEventListener('pageshow', event => {
+    if (event.persisted) scheduleStateReport(true);
+});
+
+function onMediaEvent(event) {
+    if (event.type === 'play' || event.type === 'playing') {
+        lastPlayedMedia = event.target;
+        // Media that appeared after boost/normalization was switched on joins the pipeline once it plays
+        if (needsAudioGraph() && !audioGraphs.has(event.target) && !unroutableMedia.has(event.target)) {
+            setAudioProcessing({});
+        }
+    }
+    if (event.type === 'loadedmetadata') {
+        applySitePlaybackRate(event.target);
+    }
+    scheduleStateReport(event.type !== 'timeupdate');
+}
+
+// Seek through the page's Media Session handlers when it has them, so the site's
+// player stays in sync; returns null when the page doesn't handle that kind of seek
+function seekWithMediaSession(position, offset) {
+    let result;
+    if (typeof position === 'number') {
+        result = invokeMediaSessionAction('seekto', { seekTime: Math.max(0, position) });
+    } else if (offset) {
+        result = invokeMediaSessionAction(offset > 0 ? 'seekforward' : 'seekbackward', { seekOffset: Math.abs(offset) });
+    }
+    if (!result || !result.success) return null;
+
+    const media = getPrimaryMedia();
+    scheduleStateReport(true);
+    return {
+        success: true,
+        method: 'media-session',
+        currentTime: media ? media.currentTime : position,
+        duration: media ? getFiniteDuration(media) : null
+    };
+}
+
+function isPagePlaying() {
+    const session = getMediaSessionInfo();
+    return getMediaElements().some(isMediaPlaying) || (!!session && session.playbackState === 'playing') ||
+        (playsThroughWebAudio() && pageAudioContexts.running > 0);
+}
+
+// Media in shadow DOM is out of the adapters' reach, so the tracked elements are
+// played or paused directly
+function setMediaElementsPlaying(playing) {
+    const elements = playing ? [getPrimaryMedia()].filter(Boolean) : getMediaElements().filter(isMediaPlaying);
+    if (elements.length === 0) {
+        return { success: false, error: 'No media elements found' };
     }
-    return cache.mediaElements;
+    elements.forEach(media => {
+        if (playing) {
+            media.play().catch(error => console.log('Could not play media:', error));
+        } else {
+            media.pause();
+        }
+    });
+    return { success: true, method: 'elements' };
+}
+
+// Play or pause the way the site expects: the user's own control, its Media Session
+// handlers, then its adapter (the generic one handles plain media elements), then
+// the tracked elements, and finally the page's AudioContexts
+function setPlayback(playing) {
+    if (playing) allowExtensionPlayback();
+    if (isPagePlaying() === playing) {
+        return { success: true, method: 'unchanged', isPlaying: playing };
+    }
+    const action = playing ? 'play' : 'pause';
+    let result = hasCustomControl('playPause') ? clickCustomControl('playPause') : { success: false };
+    if (!result.success) {
+        result = invokeMediaSessionAction(action);
+    }
+    if (!result.success) {
+        result = runAdapterAction(location.href, document, action);
+    }
+    if (!result.success) {
+        result = setMediaElementsPlaying(playing);
+    }
+    if (!result.success && playsThroughWebAudio()) {
+        result = setPageAudioContextsPlaying(playing);
+    }
+    if (!result.success) return result;
+    scheduleStateReport(true);
+    return { ...result, isPlaying: playing };
+}
+
+function togglePlayback() {
+    return setPlayback(!isPagePlaying());
 }
 
+// Seek the primary element to an absolute position, or relative to where it is now
+function seekPrimaryMedia(position, offset) {
+    const sessionResult = seekWithMediaSession(position, offset);
+    if (sessionResult) return sessionResult;
+
+    // Sites whose player doesn't follow the element's position seek through their adapter
+    const adapter = findSiteAdapter(location.href);
+    if (adapter && typeof adapter.seek === 'function' && typeof position === 'number' && adapter.seek(document, position)) {
+        scheduleStateReport(true);
+        return { success: true, method: `adapter-${adapter.name}`, currentTime: position, duration: null };
+    }
+
+    const media = getPrimaryMedia();
+    if (!media) {
+        return { success: false, error: 'No media elements found' };
+    }
+    const duration = getFiniteDuration(media);
+    let target = typeof position === 'number' ? position : media.currentTime + (offset || 0);
+    target = Math.max(0, duration !== null ? Math.min(target, duration) : target);
+    media.currentTime = target;
+    scheduleStateReport(true);
+    return { success: true, currentTime: media.currentTime, duration };
+}
+
+function applySiteVolume(media) {
+    if (siteVolume === null) return;
+    if (duckedMedia.has(media)) {
+        // Ducked media keeps the new level for when the duck ends
+        duckedMedia.set(media, siteVolume);
+        media.volume = siteVolume * duckLevel;
+    } else if (Math.abs(media.volume - siteVolume) > 0.001) {
+        media.volume = siteVolume;
+    }
+}
+
+// Ducking: while a priority tab is audible the background lowers this page to a
+// fraction of its volume, then brings it back
+const DUCK_STEP_MS = 50;
+let duckLevel = 1;
+const duckedMedia = new Map(); // media element -> volume before ducking
+let duckRamp = null;
+
+function setDuckLevel(level, duration) {
+    duckLevel = Math.min(1, Math.max(0, level));
+    getMediaElements().forEach(media => {
+        if (!duckedMedia.has(media)) duckedMedia.set(media, media.volume);
+    });
+    const ramps = Array.from(duckedMedia.entries()).map(([media, volume]) => ({
+        media,
+        from: media.volume,
+        to: volume * duckLevel
+    }));
+
+    clearInterval(duckRamp);
+    const steps = Math.max(1, Math.round(duration / DUCK_STEP_MS));
+    let step = 0;
+    duckRamp = setInterval(() => {
+        step++;
+        ramps.forEach(({ media, from, to }) => {
+            media.volume = from + (to - from) * Math.min(1, step / steps);
+        });
+        if (step < steps) return;
+        clearInterval(duckRamp);
+        duckRamp = null;
+        if (duckLevel === 1) duckedMedia.clear();
+    }, DUCK_STEP_MS);
+    return { success: true, level: duckLevel, media: ramps.length };
+}
+
+function setSiteVolume(volume) {
+    siteVolume = Math.min(1, Math.max(0, volume));
+    getMediaElements().forEach(applySiteVolume);
+    scheduleStateReport(true);
+    return { success: true, volume: siteVolume };
+}
+
+// Playback speed remembered for this site. Loading a new source resets an
+// element's rate, so it is applied again on loadedmetadata as well as to every
+// element the observer finds
+const MIN_PLAYBACK_RATE = 0.25;
+const MAX_PLAYBACK_RATE = 4; // Firefox mutes audio outside this range
+let sitePlaybackRate = null;
+let sitePreservesPitch = true;
+
+function applySitePlaybackRate(media) {
+    if (sitePlaybackRate === null) return;
+    media.preservesPitch = sitePreservesPitch;
+    if (Math.abs(media.playbackRate - sitePlaybackRate) > 0.001) {
+        media.defaultPlaybackRate = sitePlaybackRate;
+        media.playbackRate = sitePlaybackRate;
+    }
+}
+
+function setSitePlaybackRate(rate, preservesPitch) {
+    sitePlaybackRate = Math.min(MAX_PLAYBACK_RATE, Math.max(MIN_PLAYBACK_RATE, rate));
+    sitePreservesPitch = preservesPitch !== false;
+    getMediaElements().forEach(applySitePlaybackRate);
+    scheduleStateReport(true);
+    return { success: true, rate: sitePlaybackRate, preservesPitch: sitePreservesPitch };
+}
+
+// Sleep timer: bring every playing element down to silence over `duration` ms,
+// pause the page, then put the volumes back for the next time it plays
+const FADE_STEP_MS = 200;
+const FADE_RESTORE_DELAY_MS = 500; // page players may take a moment to act on the pause
+
+function fadeOutAndPause(duration) {
+    const fading = new Map(getMediaElements().filter(isMediaPlaying).map(media => [media, media.volume]));
+    const steps = Math.max(1, Math.round(duration / FADE_STEP_MS));
+    let step = 0;
+    return new Promise(resolve => {
+        const timer = setInterval(() => {
+            step++;
+            fading.forEach((volume, media) => {
+                media.volume = volume * Math.max(0, 1 - step / steps);
+            });
+            if (step < steps) return;
+
+            clearInterval(timer);
+            let result = isPagePlaying() ? setPlayback(false) : { success: true, method: 'unchanged' };
+            if (!result.success && fading.size > 0) {
+                fading.forEach((volume, media) => media.pause());
+                result = { success: true, method: 'elements' };
+            }
+            setTimeout(() => {
+                fading.forEach((volume, media) => {
+                    media.volume = volume;
+                });
+                resolve({ ...result, faded: fading.size });
+            }, FADE_RESTORE_DELAY_MS);
+        }, FADE_STEP_MS);
+    });
+}
+
+// Web Audio pipeline: MediaElementSource → DynamicsCompressor → Gain → destination,
+// with an Analyser tapping the gain for the level meters. It is only built once
+// boost, normalization or a meter is in use, because routing an element through
+// an AudioContext can't be undone.
+const MAX_BOOST = 3; // 300%
+const AUDIO_CONTEXT_RESUME_TIMEOUT = 1000; // resume() stays pending if the page isn't allowed to play audio
+const audioProcessing = { boost: 1, normalize: false };
+const audioGraphs = new WeakMap(); // media element -> { compressor, gain, analyser }
+const unroutableMedia = new WeakSet();
+let audioContext = null;
+
+function needsAudioGraph() {
+    return audioProcessing.boost !== 1 || audioProcessing.normalize;
+}
+
+// Cross-origin media without CORS comes out of a MediaElementSource as silence
+function isCrossOriginMedia(media) {
+    const src = media.currentSrc || media.src;
+    if (media.crossOrigin || src.startsWith('data:')) return false;
+    try {
+        return new URL(src, location.href).origin !== location.origin;
+    } catch (e) {
+        return true;
+    }
+}
+
+async function getRunningAudioContext() {
+    if (!audioContext) {
+        audioContext = new AudioContext();
+    }
+    if (audioContext.state !== 'running') {
+        await Promise.race([
+            audioContext.resume(),
+            new Promise(resolve => setTimeout(resolve, AUDIO_CONTEXT_RESUME_TIMEOUT))
+        ]);
+    }
+    if (audioContext.state !== 'running') {
+        throw new Error('Audio processing is blocked until the page is interacted with');
+    }
+    return audioContext;
+}
+
+function routeMedia(media, context) {
+    if (audioGraphs.has(media)) return true;
+    // Wait until the source is known before deciding whether it can be routed
+    if (unroutableMedia.has(media) || !(media.currentSrc || media.src)) return false;
+    if (isCrossOriginMedia(media)) {
+        unroutableMedia.add(media);
+        return false;
+    }
+    try {
+        const source = context.createMediaElementSource(media);
+        const compressor = context.createDynamicsCompressor();
+        const gain = context.createGain();
+        const analyser = context.createAnalyser();
+        source.connect(compressor).connect(gain).connect(context.destination);
+        gain.connect(analyser);
+        audioGraphs.set(media, { compressor, gain, analyser });
+        return true;
+    } catch (e) {
+        console.log('Could not route media through Web Audio:', e);
+        unroutableMedia.add(media);
+        return false;
+    }
+}
+
+function configureAudioGraph(graph, context) {
+    const { compressor, gain } = graph;
+    if (audioProcessing.normalize) {
+        // The compressor's automatic makeup gain brings quiet and loud sources to a similar level
+        compressor.threshold.value = -30;
+        compressor.knee.value = 20;
+        compressor.ratio.value = 8;
+        compressor.attack.value = 0.005;
+        compressor.release.value = 0.25;
+    } else {
+        // A ratio of 1 leaves the signal untouched
+        compressor.threshold.value = 0;
+        compressor.knee.value = 0;
+        compressor.ratio.value = 1;
+    }
+    gain.gain.setTargetAtTime(audioProcessing.boost, context.currentTime, 0.05);
+}
+
+async function setAudioProcessing(changes) {
+    if (typeof changes.boost === 'number') {
+        audioProcessing.boost = Math.min(MAX_BOOST, Math.max(0, changes.boost));
+    }
+    if (typeof changes.normalize === 'boolean') {
+        audioProcessing.normalize = changes.normalize;
+    }
+
+    // Elements already in the pipeline must be reconfigured even when going back to neutral
+    const elements = getMediaElements().filter(media => needsAudioGraph() || audioGraphs.has(media));
+    if (elements.length === 0) {
+        return { success: true, ...audioProcessing };
+    }
+
+    let context;
+    try {
+        context = await getRunningAudioContext();
+    } catch (error) {
+        return { success: false, error: error.message, ...audioProcessing };
+    }
+
+    let routed = 0;
+    let unroutable = 0;
+    elements.forEach(media => {
+        if (routeMedia(media, context)) {
+            configureAudioGraph(audioGraphs.get(media), context);
+            routed++;
+        } else if (unroutableMedia.has(media)) {
+            unroutable++;
+        }
+    });
+    scheduleStateReport(true);
+
+    if (routed === 0 && unroutable > 0) {
+        return { success: false, error: 'This media is served cross-origin and cannot be boosted', ...audioProcessing };
+    }
+    return { success: true, routed, unroutable, ...audioProcessing };
+}
+
+const observedShadowRoots = new WeakSet();
+const mediaObserver = new MutationObserver(mutations => {
+    let changed = false;
+    for (const mutation of mutations) {
+        mutation.addedNodes.forEach(node => {
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+            const before = trackedMedia.size;
+            scanForMedia(node);
+            changed = changed || trackedMedia.size !== before;
+        });
+        if (mutation.removedNodes.length > 0) {
+            const before = trackedMedia.size;
+            untrackDetachedMedia();
+            changed = changed || trackedMedia.size !== before;
+        }
+    }
+    if (changed) scheduleStateReport(true);
+});
+
+// play doesn't bubble, but capturing it catches elements the observer hasn't seen yet
+document.addEventListener('play', event => {
+    if (event.target instanceof HTMLMediaElement && !trackedMedia.has(event.target)) {
+        trackMedia(event.target);
+        onMediaEvent(event);
+    }
+}, true);
+
+// Called by pageAudioHook.js when a shadow root appears on a connected element
+function onShadowRootAttached(host) {
+    const before = trackedMedia.size;
+    scanForMedia(host);
+    if (trackedMedia.size !== before) scheduleStateReport(true);
+}
+
+scanForMedia(document);
+mediaObserver.observe(document.documentElement || document, { childList: true, subtree: true });
+if (trackedMedia.size > 0) scheduleStateReport(true);
+
+setInterval(() => {
+    if (JSON.stringify(getMediaSessionInfo()) !== lastMediaSessionInfo) {
+        scheduleStateReport(true);
+    }
+}, MEDIA_SESSION_POLL_INTERVAL);
+
+// Pick up what the user chose for this site last time
+browser.runtime.sendMessage({ command: 'get_site_settings' }).then(result => {
+    if (!result || !result.success) return;
+    const settings = result.settings;
+    if (typeof settings.volume === 'number') {
+        setSiteVolume(settings.volume);
+    }
+    if (typeof settings.playbackRate === 'number') {
+        setSitePlaybackRate(settings.playbackRate, settings.preservesPitch);
+    }
+    // The pipeline itself is built once media plays and the AudioContext is allowed to run
+    if (typeof settings.boost === 'number') audioProcessing.boost = settings.boost;
+    if (typeof settings.normalize === 'boolean') audioProcessing.normalize = settings.normalize;
+}).catch(error => {
+    console.log('Could not load site settings:', error);
+});
+
 function skipTrack(direction) {
+    // The next track starting is what the user asked for
+    allowExtensionPlayback();
     const isNext = direction === 'next';
     let success = false;
     
@@ -31,75 +649,25 @@ function skipTrack(direction) {
         }
     }
     
-    // 1. First try to find and click next/previous buttons in the page
-    const commonButtonSelectors = {
-        next: [
-            // YouTube
-            '.ytp-next-button', '.ytp-next-arrow',
-            // Spotify
-            '.spoticon-skip-forward',
-            // Generic
-            '[data-testid="control-button-skip-forward"]',
-            '[data-testid="next"]',
-            'button[title*="next" i]',
-            'button[aria-label*="next" i]',
-            '.next', '.next-button', '.skip-forward'
-        ],
-        prev: [
-            // YouTube
-            '.ytp-prev-button', '.ytp-prev-arrow',
-            // Spotify
-            '.spoticon-skip-back',
-            // Generic
-            '[data-testid="control-button-skip-back"]',
-            '[data-testid="previous"]',
-            'button[title*="previous" i]',
-            'button[aria-label*="previous" i]',
-            '.prev', '.previous', '.previous-button', '.skip-back'
-        ]
-    };
-    
-    const buttonSelectors = commonButtonSelectors[direction] || [];
+    // 1. Controls the user picked for this site win over anything built in
+    const customResult = clickCustomControl(direction);
+    if (customResult.success) {
+        return customResult;
+    }
     
-    // Try to find and click the most likely button
-    for (const selector of buttonSelectors) {
-        const buttons = Array.from(document.querySelectorAll(selector));
-        const visibleButton = buttons.find(btn => {
-            const style = window.getComputedStyle(btn);
-            return style.display !== 'none' && 
-                   style.visibility !== 'hidden' && 
-                   style.opacity !== '0' &&
-                   btn.offsetWidth > 0 && 
-                   btn.offsetHeight > 0;
-        });
-        
-        if (visibleButton) {
-            console.log('Found skip button with selector:', selector);
-            visibleButton.click();
-            return { success: true, method: 'button-click' };
-        }
+    // 2. Let the page's own Media Session handler skip, like a hardware media key would
+    const sessionResult = invokeMediaSessionAction(isNext ? 'nexttrack' : 'previoustrack');
+    if (sessionResult.success) {
+        return sessionResult;
     }
     
-    // 2. Try to use media session API if available
-    if ('mediaSession' in navigator) {
-        try {
-            if (isNext && navigator.mediaSession.setActionHandler) {
-                navigator.mediaSession.setActionHandler('nexttrack', () => {});
-                const event = new Event('nexttrack');
-                navigator.mediaSession.dispatchEvent(event);
-                return { success: true, method: 'media-session' };
-            } else if (!isNext && navigator.mediaSession.setActionHandler) {
-                navigator.mediaSession.setActionHandler('previoustrack', () => {});
-                const event = new Event('previoustrack');
-                navigator.mediaSession.dispatchEvent(event);
-                return { success: true, method: 'media-session' };
-            }
-        } catch (e) {
-            console.log('Media session API not fully supported:', e);
-        }
+    // 3. Let the site's adapter (or the generic one) click the player's own controls
+    const adapterResult = runAdapterAction(location.href, document, isNext ? 'next' : 'prev');
+    if (adapterResult.success) {
+        return adapterResult;
     }
     
-    // 3. Try to find and use video.js or other common players
+    // 4. Try to find and use video.js or other common players
     try {
         const players = [];
         
@@ -139,26 +707,6 @@ function skipTrack(direction) {
         console.log('Error accessing player APIs:', e);
     }
     
-    // 4. Try to find and click buttons in the page
-    for (const selector of buttonSelectors) {
-        const button = document.querySelector(selector);
-        if (button) {
-            const style = window.getComputedStyle(button);
-            if (style.display !== 'none' && 
-                style.visibility !== 'hidden' && 
-                style.opacity !== '0' &&
-                button.offsetWidth > 0 && 
-                button.offsetHeight > 0) {
-                try {
-                    button.click();
-                    return { success: true, method: 'button-click' };
-                } catch (e) {
-                    console.log('Error clicking button:', e);
-                }
-            }
-        }
-    }
-
     // 5. As a last resort, try to simulate keyboard events
     try {
         const keyCode = isNext ? 176 : 177; // Next track: 176, Previous track: 177
@@ -195,12 +743,97 @@ function skipTrack(direction) {
     return { 
         success: false, 
         error: 'No supported track skipping method found on this page',
-        methodsTried: ['button-click', 'media-session', 'player-api', 'keyboard-events']
+        methodsTried: ['custom-selector', 'media-session', 'site-adapter', 'player-api', 'keyboard-events']
     };
 }
 
-// Add message listener to handle skip track commands from the background script
+// Add message listener to handle commands from the background script
 browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.command === 'execute_toggle_play_pause') {
+        if (!canControlPlayback()) return false;
+        sendResponse(togglePlayback());
+        return true;
+    }
+
+    if (message.command === 'start_element_picker') {
+        // The overlay only makes sense in the page the user is looking at
+        if (window !== window.top) return false;
+        sendResponse(startElementPicker());
+        return true;
+    }
+
+    if (message.command === 'execute_fade_out') {
+        if (!canControlPlayback()) return false;
+        fadeOutAndPause(message.duration).then(sendResponse);
+        return true;
+    }
+
+    if (message.command === 'execute_set_playback') {
+        if (!canControlPlayback()) return false;
+        sendResponse(setPlayback(message.playing));
+        return true;
+    }
+
+    if (message.command === 'execute_like') {
+        const adapter = findSiteAdapter(location.href);
+        if (!adapter || typeof adapter.like !== 'function') return false;
+        sendResponse(runAdapterAction(location.href, document, 'like'));
+        return true;
+    }
+
+    if (message.command === 'execute_seek') {
+        // Let the frame that actually has media answer
+        if (!canControlPlayback()) return false;
+        sendResponse(seekPrimaryMedia(message.position, message.offset));
+        return true;
+    }
+
+    if (message.command === 'execute_set_volume') {
+        // Every frame applies the level, only one with media answers
+        const result = setSiteVolume(message.volume);
+        if (getMediaElements().length === 0) return false;
+        sendResponse(result);
+        return true;
+    }
+
+    if (message.command === 'execute_duck') {
+        const result = setDuckLevel(message.level, message.duration);
+        if (getMediaElements().length === 0) return false;
+        sendResponse(result);
+        return true;
+    }
+
+    if (message.command === 'execute_set_playback_rate') {
+        // Like volume, every frame applies the speed and only one with media answers
+        const result = setSitePlaybackRate(message.rate, message.preservesPitch);
+        if (getMediaElements().length === 0) return false;
+        sendResponse(result);
+        return true;
+    }
+
+    if (message.command === 'execute_set_audio_processing') {
+        const hasMedia = getMediaElements().length > 0;
+        setAudioProcessing(message).then(result => {
+            if (hasMedia) sendResponse(result);
+        });
+        return hasMedia;
+    }
+
+    if (message.command === 'execute_media_session_action') {
+        if (!hasMediaSessionAction(message.action)) return false;
+        allowExtensionPlayback();
+        sendResponse(invokeMediaSessionAction(message.action, message.details));
+        scheduleStateReport(true);
+        return true;
+    }
+
+    if (message.command === 'update_title') {
+        // Sites update their metadata a moment after the track changes
+        scheduleStateReport(true);
+        setTimeout(() => scheduleStateReport(true), STATE_REPORT_INTERVAL);
+        return false;
+    }
+
     if (message.command === 'execute_skip_track') {
         try {
             const result = skipTrack(message.direction);
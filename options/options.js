@@ -0,0 +1,486 @@
+const CUSTOM_SELECTORS_KEY = 'customSelectors';
+const EXCLUSIVE_PLAYBACK_KEY = 'exclusivePlayback';
+const AUTOPLAY_BLOCKER_KEY = 'autoplayBlocker';
+const RESUME_PLAYBACK_KEY = 'resumePlayback';
+const DUCKING_KEY = 'ducking';
+const AUTO_MUTE_RULES_KEY = 'autoMuteRules';
+const RULE_LOG_KEY = 'autoMuteRuleLog';
+const MATCH_PATTERN = /^(\*|https?|wss?|file|ftp):\/\/(\*|\*\.[^/*]+|[^/*]+)?\/.*$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DEFAULT_PRIORITY_SITES = ['meet.google.com', 'zoom.us', 'teams.microsoft.com', 'teams.live.com'];
+const SELECTOR_FIELDS = ['next', 'prev', 'playPause'];
+const STATUS_DURATION = 2000;
+
+// Function to show a short-lived confirmation next to a section's buttons
+function showStatus(element, text) {
+    element.textContent = text;
+    setTimeout(() => {
+        element.textContent = '';
+    }, STATUS_DURATION);
+}
+
+// Function to check that a selector parses, empty means "not set"
+function isValidSelector(selector) {
+    if (!selector) return true;
+    try {
+        document.createDocumentFragment().querySelector(selector);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Function to add an editable row for one site
+function addCustomSelectorRow(hostname = '', selectors = {}) {
+    const tbody = document.getElementById('custom-selectors');
+    const empty = tbody.querySelector('.empty');
+    if (empty) empty.parentElement.remove();
+
+    const row = document.createElement('tr');
+    row.innerHTML = `
+        <td><input type="text" class="hostname" placeholder="www.example.com"></td>
+        ${SELECTOR_FIELDS.map(field => `<td><input type="text" class="selector" data-field="${field}"></td>`).join('')}
+        <td><button class="danger remove">Remove</button></td>
+    `;
+    row.querySelector('.hostname').value = hostname;
+    row.querySelectorAll('.selector').forEach(input => {
+        input.value = selectors[input.dataset.field] || '';
+        input.addEventListener('input', () => {
+            input.classList.toggle('invalid', !isValidSelector(input.value.trim()));
+        });
+    });
+    row.querySelector('.remove').addEventListener('click', () => row.remove());
+    tbody.appendChild(row);
+}
+
+// Function to render every site that has custom selectors
+function renderCustomSelectors(allSelectors) {
+    const tbody = document.getElementById('custom-selectors');
+    tbody.innerHTML = '';
+    const hostnames = Object.keys(allSelectors).sort();
+    if (hostnames.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="empty">No custom controls yet</td></tr>';
+        return;
+    }
+    hostnames.forEach(hostname => addCustomSelectorRow(hostname, allSelectors[hostname]));
+}
+
+// Function to collect the rows back into the stored shape, skipping incomplete ones
+function readCustomSelectors() {
+    const allSelectors = {};
+    let valid = true;
+    document.querySelectorAll('#custom-selectors tr').forEach(row => {
+        const hostnameInput = row.querySelector('.hostname');
+        if (!hostnameInput) return;
+        const hostname = hostnameInput.value.trim().toLowerCase();
+        const selectors = {};
+        row.querySelectorAll('.selector').forEach(input => {
+            const value = input.value.trim();
+            if (!isValidSelector(value)) valid = false;
+            if (value) selectors[input.dataset.field] = value;
+        });
+        if (hostname && Object.keys(selectors).length > 0) {
+            allSelectors[hostname] = selectors;
+        }
+    });
+    return valid ? allSelectors : null;
+}
+
+async function saveCustomSelectors() {
+    const status = document.getElementById('custom-selectors-status');
+    const allSelectors = readCustomSelectors();
+    if (!allSelectors) {
+        showStatus(status, '❌ Fix the highlighted selectors first');
+        return;
+    }
+    try {
+        await browser.storage.local.set({ [CUSTOM_SELECTORS_KEY]: allSelectors });
+        renderCustomSelectors(allSelectors);
+        showStatus(status, 'Saved');
+    } catch (error) {
+        console.error('Options: Error saving custom selectors:', error);
+        showStatus(status, '❌ Error saving');
+    }
+}
+
+// Function to split a textarea into trimmed, lower-case hostnames
+function readHostnameList(textarea) {
+    return textarea.value.split('\n').map(line => line.trim().toLowerCase()).filter(Boolean);
+}
+
+async function renderAutoplayBlocker() {
+    const stored = await browser.storage.local.get(AUTOPLAY_BLOCKER_KEY);
+    const settings = stored[AUTOPLAY_BLOCKER_KEY] || {};
+    document.getElementById('autoplay-enabled').checked = !!settings.enabled;
+    document.getElementById('autoplay-allow').value = (settings.allow || []).join('\n');
+    document.getElementById('autoplay-block').value = (settings.block || []).join('\n');
+}
+
+async function saveAutoplayBlocker() {
+    const status = document.getElementById('autoplay-status');
+    try {
+        await browser.storage.local.set({
+            [AUTOPLAY_BLOCKER_KEY]: {
+                enabled: document.getElementById('autoplay-enabled').checked,
+                allow: readHostnameList(document.getElementById('autoplay-allow')),
+                block: readHostnameList(document.getElementById('autoplay-block'))
+            }
+        });
+        showStatus(status, 'Saved');
+    } catch (error) {
+        console.error('Options: Error saving autoplay settings:', error);
+        showStatus(status, '❌ Error saving');
+    }
+}
+
+async function renderExclusivePlayback() {
+    const stored = await browser.storage.local.get(EXCLUSIVE_PLAYBACK_KEY);
+    const settings = stored[EXCLUSIVE_PLAYBACK_KEY] || {};
+    document.getElementById('exclusive-enabled').checked = !!settings.enabled;
+    document.getElementById('exclusive-action').value = settings.action || 'pause';
+    document.getElementById('exclusive-resume').checked = !!settings.resumePrevious;
+    document.getElementById('exclusive-exceptions').value = (settings.exceptions || []).join('\n');
+}
+
+async function saveExclusivePlayback() {
+    const status = document.getElementById('exclusive-playback-status');
+    try {
+        await browser.storage.local.set({
+            [EXCLUSIVE_PLAYBACK_KEY]: {
+                enabled: document.getElementById('exclusive-enabled').checked,
+                action: document.getElementById('exclusive-action').value,
+                resumePrevious: document.getElementById('exclusive-resume').checked,
+                exceptions: readHostnameList(document.getElementById('exclusive-exceptions'))
+            }
+        });
+        showStatus(status, 'Saved');
+    } catch (error) {
+        console.error('Options: Error saving exclusive playback settings:', error);
+        showStatus(status, '❌ Error saving');
+    }
+}
+
+async function renderDucking() {
+    const stored = await browser.storage.local.get(DUCKING_KEY);
+    const settings = stored[DUCKING_KEY] || {};
+    document.getElementById('ducking-enabled').checked = !!settings.enabled;
+    document.getElementById('ducking-level').value = settings.level !== undefined ? settings.level : 20;
+    document.getElementById('ducking-sites').value = (settings.prioritySites || DEFAULT_PRIORITY_SITES).join('\n');
+}
+
+async function saveDucking() {
+    const status = document.getElementById('ducking-status');
+    const levelInput = document.getElementById('ducking-level');
+    const level = Number(levelInput.value);
+    const validLevel = levelInput.value !== '' && level >= 0 && level <= 100;
+    levelInput.classList.toggle('invalid', !validLevel);
+    if (!validLevel) {
+        showStatus(status, '❌ Enter a percentage from 0 to 100');
+        return;
+    }
+    try {
+        await browser.storage.local.set({
+            [DUCKING_KEY]: {
+                enabled: document.getElementById('ducking-enabled').checked,
+                level,
+                prioritySites: readHostnameList(document.getElementById('ducking-sites'))
+            }
+        });
+        showStatus(status, 'Saved');
+    } catch (error) {
+        console.error('Options: Error saving ducking settings:', error);
+        showStatus(status, '❌ Error saving');
+    }
+}
+
+// Function to check a WebExtension match pattern such as *://*.example.com/*
+function isValidMatchPattern(pattern) {
+    return pattern === '<all_urls>' || MATCH_PATTERN.test(pattern);
+}
+
+// Function to add an editable card for one auto-mute rule
+function addAutoMuteRuleRow(rule = {}) {
+    const container = document.getElementById('auto-mute-rules');
+    const empty = container.querySelector('.empty');
+    if (empty) empty.remove();
+
+    const schedule = rule.schedule || {};
+    const card = document.createElement('div');
+    card.className = 'rule';
+    card.dataset.ruleId = rule.id || `rule-${Date.now()}-${container.children.length}`;
+    card.innerHTML = `
+        <label class="field">Name<input type="text" class="rule-name" placeholder="Quiet news sites"></label>
+        <label class="field wide">URL pattern<input type="text" class="rule-pattern" placeholder="*://*.example.com/*"></label>
+        <label class="field">While the tab is
+            <select class="rule-tab-state">
+                <option value="any">anywhere</option>
+                <option value="background">in the background</option>
+                <option value="foreground">in front</option>
+            </select>
+        </label>
+        <label class="field">From<input type="time" class="rule-start"></label>
+        <label class="field">Until<input type="time" class="rule-end"></label>
+        <div class="field wide">On
+            <div class="days">
+                ${WEEKDAYS.map((day, index) => `<label><input type="checkbox" class="rule-day" value="${index}">${day}</label>`).join('')}
+            </div>
+        </div>
+        <label class="field">Action
+            <select class="rule-action">
+                <option value="mute">Mute</option>
+                <option value="pause">Pause</option>
+                <option value="volume">Set volume</option>
+            </select>
+        </label>
+        <label class="field rule-volume-field">Volume (%)<input type="number" class="rule-volume" min="0" max="100" step="5"></label>
+        <div class="rule-footer">
+            <label class="option"><input type="checkbox" class="rule-enabled">Enabled</label>
+            <button class="danger remove">Remove</button>
+        </div>
+    `;
+    card.querySelector('.rule-name').value = rule.name || '';
+    card.querySelector('.rule-pattern').value = rule.pattern || '';
+    card.querySelector('.rule-tab-state').value = rule.tabState || 'any';
+    card.querySelector('.rule-start').value = schedule.start || '';
+    card.querySelector('.rule-end').value = schedule.end || '';
+    card.querySelectorAll('.rule-day').forEach(checkbox => {
+        checkbox.checked = (schedule.days || []).includes(Number(checkbox.value));
+    });
+    card.querySelector('.rule-action').value = rule.action || 'mute';
+    card.querySelector('.rule-volume').value = rule.volume !== undefined ? rule.volume : 30;
+    card.querySelector('.rule-enabled').checked = rule.enabled !== false;
+
+    const actionSelect = card.querySelector('.rule-action');
+    const volumeField = card.querySelector('.rule-volume-field');
+    const showVolume = () => {
+        volumeField.style.visibility = actionSelect.value === 'volume' ? 'visible' : 'hidden';
+    };
+    actionSelect.addEventListener('change', showVolume);
+    showVolume();
+
+    const patternInput = card.querySelector('.rule-pattern');
+    patternInput.addEventListener('input', () => {
+        patternInput.classList.toggle('invalid', !isValidMatchPattern(patternInput.value.trim()));
+    });
+    card.querySelector('.remove').addEventListener('click', () => card.remove());
+    container.appendChild(card);
+}
+
+function renderAutoMuteRules(rules) {
+    const container = document.getElementById('auto-mute-rules');
+    container.innerHTML = '';
+    if (rules.length === 0) {
+        container.innerHTML = '<div class="empty">No rules yet</div>';
+        return;
+    }
+    rules.forEach(rule => addAutoMuteRuleRow(rule));
+}
+
+// Function to collect the cards back into rules, or null when one is invalid
+function readAutoMuteRules() {
+    let valid = true;
+    const rules = Array.from(document.querySelectorAll('#auto-mute-rules .rule')).map(card => {
+        const patternInput = card.querySelector('.rule-pattern');
+        const pattern = patternInput.value.trim();
+        const volumeInput = card.querySelector('.rule-volume');
+        const volume = Number(volumeInput.value);
+        const action = card.querySelector('.rule-action').value;
+        const start = card.querySelector('.rule-start').value;
+        const end = card.querySelector('.rule-end').value;
+        const days = Array.from(card.querySelectorAll('.rule-day:checked')).map(checkbox => Number(checkbox.value));
+
+        const validPattern = isValidMatchPattern(pattern);
+        const validVolume = action !== 'volume' || (volumeInput.value !== '' && volume >= 0 && volume <= 100);
+        // A window needs both ends
+        const validWindow = !start === !end;
+        patternInput.classList.toggle('invalid', !validPattern);
+        volumeInput.classList.toggle('invalid', !validVolume);
+        card.querySelector('.rule-start').classList.toggle('invalid', !validWindow);
+        card.querySelector('.rule-end').classList.toggle('invalid', !validWindow);
+        if (!validPattern || !validVolume || !validWindow) valid = false;
+
+        return {
+            id: card.dataset.ruleId,
+            name: card.querySelector('.rule-name').value.trim() || pattern,
+            enabled: card.querySelector('.rule-enabled').checked,
+            pattern,
+            tabState: card.querySelector('.rule-tab-state').value,
+            schedule: (start && end) || days.length > 0 ? { start, end, days } : null,
+            action,
+            volume: action === 'volume' ? volume : undefined
+        };
+    });
+    return valid ? rules : null;
+}
+
+async function saveAutoMuteRules() {
+    const status = document.getElementById('auto-mute-rules-status');
+    const rules = readAutoMuteRules();
+    if (!rules) {
+        showStatus(status, '❌ Fix the highlighted fields first');
+        return;
+    }
+    try {
+        await browser.storage.local.set({ [AUTO_MUTE_RULES_KEY]: rules });
+        showStatus(status, 'Saved');
+    } catch (error) {
+        console.error('Options: Error saving auto-mute rules:', error);
+        showStatus(status, '❌ Error saving');
+    }
+}
+
+// Function to list the latest rule firings, newest first
+function renderRuleLog(log) {
+    const tbody = document.getElementById('auto-mute-rule-log');
+    tbody.innerHTML = '';
+    if (log.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="4" class="empty">No rule has fired yet</td></tr>';
+        return;
+    }
+    log.forEach(entry => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${new Date(entry.time).toLocaleString()}</td>
+            <td class="rule-name"></td>
+            <td class="action"></td>
+            <td class="page"></td>
+        `;
+        row.querySelector('.rule-name').textContent = entry.ruleName;
+        row.querySelector('.action').textContent = entry.action;
+        row.querySelector('.page').textContent = entry.title || entry.url;
+        row.querySelector('.page').title = entry.url;
+        tbody.appendChild(row);
+    });
+}
+
+async function renderResumePlayback() {
+    const stored = await browser.storage.local.get(RESUME_PLAYBACK_KEY);
+    const settings = stored[RESUME_PLAYBACK_KEY] || {};
+    document.getElementById('resume-enabled').checked = settings.enabled !== false;
+    document.getElementById('resume-min-duration').value = settings.minDurationMinutes || 10;
+    document.getElementById('resume-expire-days').value = settings.expireDays || 30;
+}
+
+async function saveResumePlayback() {
+    const status = document.getElementById('resume-playback-status');
+    const minDurationInput = document.getElementById('resume-min-duration');
+    const expireDaysInput = document.getElementById('resume-expire-days');
+    const minDurationMinutes = Number(minDurationInput.value);
+    const expireDays = Number(expireDaysInput.value);
+    minDurationInput.classList.toggle('invalid', !(minDurationMinutes >= 1));
+    expireDaysInput.classList.toggle('invalid', !(expireDays >= 1));
+    if (!(minDurationMinutes >= 1) || !(expireDays >= 1)) {
+        showStatus(status, '❌ Enter at least 1');
+        return;
+    }
+    try {
+        await browser.storage.local.set({
+            [RESUME_PLAYBACK_KEY]: {
+                enabled: document.getElementById('resume-enabled').checked,
+                minDurationMinutes,
+                expireDays
+            }
+        });
+        showStatus(status, 'Saved');
+    } catch (error) {
+        console.error('Options: Error saving resume playback settings:', error);
+        showStatus(status, '❌ Error saving');
+    }
+}
+
+async function clearPlaybackPositions() {
+    const status = document.getElementById('resume-playback-status');
+    try {
+        const result = await browser.runtime.sendMessage({ command: 'clear_playback_positions' });
+        showStatus(status, result.success ? 'Forgotten' : '❌ Error');
+    } catch (error) {
+        console.error('Options: Error clearing playback positions:', error);
+        showStatus(status, '❌ Error');
+    }
+}
+
+// Function to list the extension's commands with an editable shortcut each
+async function renderShortcuts() {
+    const tbody = document.getElementById('shortcuts');
+    const commands = await browser.commands.getAll();
+    tbody.innerHTML = '';
+    commands.forEach(command => {
+        const row = document.createElement('tr');
+        row.dataset.command = command.name;
+        row.innerHTML = `
+            <td class="description"></td>
+            <td><input type="text" class="shortcut"></td>
+            <td><button class="secondary reset">Reset</button></td>
+        `;
+        row.querySelector('.description').textContent = command.description;
+        row.querySelector('.shortcut').value = command.shortcut || '';
+        row.querySelector('.reset').addEventListener('click', async () => {
+            await browser.commands.reset(command.name);
+            await renderShortcuts();
+        });
+        tbody.appendChild(row);
+    });
+}
+
+async function saveShortcuts() {
+    const status = document.getElementById('shortcuts-status');
+    const failed = [];
+    for (const row of document.querySelectorAll('#shortcuts tr')) {
+        const input = row.querySelector('.shortcut');
+        try {
+            await browser.commands.update({ name: row.dataset.command, shortcut: input.value.trim() });
+            input.classList.remove('invalid');
+        } catch (error) {
+            console.error(`Options: Invalid shortcut for ${row.dataset.command}:`, error);
+            input.classList.add('invalid');
+            failed.push(row.dataset.command);
+        }
+    }
+    showStatus(status, failed.length > 0 ? '❌ Fix the highlighted shortcuts' : 'Saved');
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    renderAutoplayBlocker();
+    document.getElementById('save-autoplay').addEventListener('click', saveAutoplayBlocker);
+
+    renderExclusivePlayback();
+    document.getElementById('save-exclusive-playback').addEventListener('click', saveExclusivePlayback);
+
+    renderDucking();
+    document.getElementById('save-ducking').addEventListener('click', saveDucking);
+
+    const storedRules = await browser.storage.local.get([AUTO_MUTE_RULES_KEY, RULE_LOG_KEY]);
+    renderAutoMuteRules(storedRules[AUTO_MUTE_RULES_KEY] || []);
+    renderRuleLog(storedRules[RULE_LOG_KEY] || []);
+    document.getElementById('add-auto-mute-rule').addEventListener('click', () => addAutoMuteRuleRow());
+    document.getElementById('save-auto-mute-rules').addEventListener('click', saveAutoMuteRules);
+    document.getElementById('clear-auto-mute-rule-log').addEventListener('click', () => {
+        browser.storage.local.set({ [RULE_LOG_KEY]: [] });
+    });
+
+    renderResumePlayback();
+    document.getElementById('save-resume-playback').addEventListener('click', saveResumePlayback);
+    document.getElementById('clear-playback-positions').addEventListener('click', clearPlaybackPositions);
+
+    renderShortcuts();
+    document.getElementById('save-shortcuts').addEventListener('click', saveShortcuts);
+
+    const stored = await browser.storage.local.get(CUSTOM_SELECTORS_KEY);
+    renderCustomSelectors(stored[CUSTOM_SELECTORS_KEY] || {});
+
+    document.getElementById('add-custom-selector').addEventListener('click', () => addCustomSelectorRow());
+    document.getElementById('save-custom-selectors').addEventListener('click', saveCustomSelectors);
+
+    // Selectors picked on a page, rules firing and sites allowed from the popup show up right away
+    browser.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes[CUSTOM_SELECTORS_KEY]) {
+            renderCustomSelectors(changes[CUSTOM_SELECTORS_KEY].newValue || {});
+        }
+        if (area === 'local' && changes[RULE_LOG_KEY]) {
+            renderRuleLog(changes[RULE_LOG_KEY].newValue || []);
+        }
+        if (area === 'local' && changes[AUTOPLAY_BLOCKER_KEY]) {
+            renderAutoplayBlocker();
+        }
+    });
+});
@@ -2,8 +2,65 @@
 let lastUpdateTime = 0;
 let currentTabs = [];
 const MIN_UPDATE_INTERVAL = 100; // 100ms between updates
+const SEEK_JUMP_SECONDS = 10;
+const BOOST_LEVELS = [1, 1.5, 2, 3];
+const SPEED_PRESETS = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2, 2.5, 3];
+const LEVEL_METER_FLOOR_DB = -60; // quieter than this shows as an empty meter
+const NORMALIZE_KEY = 'normalizeLoudness';
 let backgroundPort = null;
+const pendingRequests = new Map(); // requestId -> { resolve, reject } for commands sent over the port
+let lastRequestId = 0;
+let sleepTimerStatus = { active: false };
+const SLEEP_TIMER_REFRESH_SECONDS = 5; // "end of track" moves when the user seeks
+// The sidebar loads this same script; it stays open and groups tabs by window
+const isSidebar = document.body.classList.contains('sidebar');
+
+// The popup and the sidebar share everything but the title, so the markup lives
+// here instead of being copied into both pages
+document.body.insertAdjacentHTML('afterbegin', `
+        <div class="header">
+            <div class="logo">🎵</div>
+            <div class="title">${isSidebar ? 'ZX Media Dashboard' : 'ZX Media Control Center'}</div>
+            <button id="normalize-toggle" class="header-toggle" title="Normalize loudness across tabs" aria-pressed="false"></button>
+            <button id="history-toggle" class="header-toggle" title="Listening history" aria-pressed="false"></button>
+            <button id="sleep-timer-toggle" class="header-toggle" title="Sleep timer" aria-expanded="false"></button>
+            <button id="open-stats" class="header-toggle" title="Listening statistics"></button>
+            <button id="open-options" class="header-toggle" title="Settings"></button>
+        </div>
+        <div class="history-view" id="history-view" hidden>
+            <div class="history-toolbar">
+                <input type="search" class="history-search" id="history-search" placeholder="Search history">
+                <button class="bulk-button" id="clear-history-btn">Clear</button>
+            </div>
+            <div class="history-list" id="history-list"></div>
+        </div>
+        <div class="sleep-timer" id="sleep-timer" hidden>
+            <div class="sleep-timer-status">
+                <span id="sleep-timer-status">Fade out and pause everything after</span>
+                <button class="bulk-button" id="cancel-sleep-timer" hidden>Cancel</button>
+            </div>
+            <div class="sleep-timer-options">
+                <button class="bulk-button" data-minutes="15">15 min</button>
+                <button class="bulk-button" data-minutes="30">30 min</button>
+                <button class="bulk-button" data-minutes="60">60 min</button>
+                <button class="bulk-button" data-end-of-track="true">End of track</button>
+            </div>
+        </div>
+        <div class="bulk-actions" id="bulk-actions" hidden>
+            <button class="bulk-button" id="mute-all-btn"></button>
+            <button class="bulk-button" id="pause-all-btn"></button>
+        </div>
+        <div id="tabs-container">
+            <div class="loading">Loading...</div>
+        </div>
+`);
 const tabsContainer = document.getElementById('tabs-container');
+let currentWindowId = null;
+
+// Function to close the popup after an action that moves the user elsewhere
+function closePopup() {
+    if (!isSidebar) window.close();
+}
 
 // Function to check if we should update the tabs list
 function shouldUpdateTabs() {
@@ -27,62 +84,388 @@ function escapeHtml(unsafe) {
         .replace(/'/g, '&#039;');
 }
 
-// Function to render tabs
-function renderTabs(mediaTabs) {
-    if (!tabsContainer) return;
-    
-    if (mediaTabs && mediaTabs.length > 0) {
-        tabsContainer.innerHTML = '';
-        mediaTabs.forEach(tab => {
-            const tabItem = document.createElement('div');
-            tabItem.className = 'tab-item';
-            tabItem.innerHTML = `
-                <div class="tab-content">
-                    <div class="tab-title">${escapeHtml(tab.title)}</div>
-                    <div class="tab-url">${escapeHtml(tab.url)}</div>
-                </div>
-                <div class="tab-controls">
-                    <button class="control-button prev-btn" data-tab-id="${tab.id}" title="Previous Track"></button>
-                    <button class="control-button pause-btn" data-tab-id="${tab.id}">${tab.isPlaying ? 'Pause' : 'Play'}</button>
-                    <button class="control-button next-btn" data-tab-id="${tab.id}" title="Next Track"></button>
-                    <button class="control-button mute-btn" data-tab-id="${tab.id}">${tab.muted ? 'Unmute' : 'Mute'}</button>
-                </div>
-            `;
-
-            const tabContent = tabItem.querySelector('.tab-content');
-            tabContent.addEventListener('click', () => {
-                browser.tabs.update(tab.id, { active: true });
-                window.close();
-            });
+// Function to describe the media state reported by the content script
+function describeMediaState(tab) {
+    if (!tab.mediaCount && !tab.webAudio) return '';
+    const status = tab.isPlaying ? 'Playing' : 'Paused';
+    if (tab.webAudio) return `${status} · Web Audio`;
+    return tab.mediaCount > 1 ? `${status} · ${tab.mediaCount} media` : status;
+}
+
+// Function to format seconds as m:ss or h:mm:ss
+function formatTime(seconds) {
+    if (seconds == null || !isFinite(seconds)) return '--:--';
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
 
-            const prevBtn = tabItem.querySelector('.prev-btn');
-            const pauseBtn = tabItem.querySelector('.pause-btn');
-            const nextBtn = tabItem.querySelector('.next-btn');
-            const muteBtn = tabItem.querySelector('.mute-btn');
+// Function to format a listening duration in milliseconds as "1 h 5 min", "3 min" or "40 s"
+function formatDuration(ms) {
+    const totalSeconds = Math.round((ms || 0) / 1000);
+    if (totalSeconds < 60) return `${totalSeconds} s`;
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    return hours > 0 ? `${hours} h ${minutes} min` : `${minutes} min`;
+}
 
-            prevBtn.addEventListener('click', async (e) => {
-                e.stopPropagation();
-                await skipTrack(tab.id, 'prev', prevBtn);
-            });
+// Function to build the row for a single tab
+function createTabItem(tab) {
+    const tabItem = document.createElement('div');
+    tabItem.className = 'tab-item';
+    tabItem.dataset.tabId = tab.id;
+    tabItem.innerHTML = `
+        <div class="tab-content">
+            <img class="tab-artwork" alt="" hidden>
+            <div class="tab-text">
+                <div class="tab-title"></div>
+                <div class="tab-artist" hidden></div>
+                <div class="tab-url"></div>
+            </div>
+            <button class="icon-button solo-btn" data-tab-id="${tab.id}" title="Mute every other tab"></button>
+            <button class="icon-button pin-btn" data-tab-id="${tab.id}" title="Control this tab with keyboard shortcuts"></button>
+            <button class="icon-button pick-btn" data-tab-id="${tab.id}" title="Pick this site's controls"></button>
+        </div>
+        <div class="autoplay-notice" hidden>
+            <span>Autoplay blocked</span>
+            <button class="bulk-button allow-autoplay-btn" data-tab-id="${tab.id}">Allow this site</button>
+        </div>
+        <div class="tab-seek">
+            <button class="control-button seek-back-btn" data-tab-id="${tab.id}" title="Back 10 seconds"></button>
+            <span class="seek-time seek-elapsed"></span>
+            <input type="range" class="seek-bar" data-tab-id="${tab.id}" min="0" max="0" step="1" value="0">
+            <span class="seek-time seek-remaining"></span>
+            <button class="control-button seek-forward-btn" data-tab-id="${tab.id}" title="Forward 10 seconds"></button>
+        </div>
+        <div class="tab-volume">
+            <span class="volume-icon"></span>
+            <input type="range" class="volume-bar" data-tab-id="${tab.id}" min="0" max="100" step="1" value="100" title="Tab volume">
+            <span class="volume-level"></span>
+            <div class="level-meter" title="Current level" hidden>
+                <div class="level-meter-rms"></div>
+                <div class="level-meter-peak"></div>
+            </div>
+            <select class="boost-select" data-tab-id="${tab.id}" title="Volume boost">
+                ${BOOST_LEVELS.map(level => `<option value="${level}">${level * 100}%</option>`).join('')}
+            </select>
+        </div>
+        <div class="tab-speed">
+            <span class="speed-icon"></span>
+            <select class="speed-select" data-tab-id="${tab.id}" title="Playback speed">
+                ${SPEED_PRESETS.map(rate => `<option value="${rate}">${rate}×</option>`).join('')}
+                <option value="custom">Custom…</option>
+            </select>
+            <input type="number" class="speed-custom" data-tab-id="${tab.id}" min="0.25" max="4" step="0.05" title="Custom speed" hidden>
+            <button class="icon-button pitch-btn" data-tab-id="${tab.id}" title="Keep the original pitch"></button>
+        </div>
+        <div class="tab-controls">
+            <div class="tab-info"></div>
+            <button class="control-button prev-btn" data-tab-id="${tab.id}" title="Previous Track"></button>
+            <button class="control-button pause-btn" data-tab-id="${tab.id}"></button>
+            <button class="control-button next-btn" data-tab-id="${tab.id}" title="Next Track"></button>
+            <button class="control-button mute-btn" data-tab-id="${tab.id}"></button>
+            <button class="control-button like-btn" data-tab-id="${tab.id}" title="Like" hidden></button>
+        </div>
+    `;
 
-            pauseBtn.addEventListener('click', async (e) => {
-                e.stopPropagation();
-                await toggleTabPlayPause(tab.id, pauseBtn);
-            });
+    const tabContent = tabItem.querySelector('.tab-content');
+    tabContent.addEventListener('click', () => {
+        browser.tabs.update(tab.id, { active: true });
+        // The sidebar lists every window, and the tab may be in another one
+        if (isSidebar) browser.windows.update(tab.windowId, { focused: true });
+        closePopup();
+    });
 
-            nextBtn.addEventListener('click', async (e) => {
-                e.stopPropagation();
-                await skipTrack(tab.id, 'next', nextBtn);
-            });
+    const soloBtn = tabItem.querySelector('.solo-btn');
+    soloBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await runBulkAction({ command: 'solo_tab', tabId: tab.id }, soloBtn);
+    });
 
-            muteBtn.addEventListener('click', async (e) => {
-                e.stopPropagation();
-                await toggleTabMute(tab.id, muteBtn);
-            });
+    const pinBtn = tabItem.querySelector('.pin-btn');
+    pinBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await setPrimaryTab(pinBtn.classList.contains('active') ? null : tab.id);
+    });
+
+    const pickBtn = tabItem.querySelector('.pick-btn');
+    pickBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await startElementPicker(tab.id, pickBtn);
+    });
+
+    const allowAutoplayBtn = tabItem.querySelector('.allow-autoplay-btn');
+    allowAutoplayBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await allowAutoplay(tab.id, allowAutoplayBtn);
+    });
+
+    const prevBtn = tabItem.querySelector('.prev-btn');
+    const pauseBtn = tabItem.querySelector('.pause-btn');
+    const nextBtn = tabItem.querySelector('.next-btn');
+    const muteBtn = tabItem.querySelector('.mute-btn');
+    const likeBtn = tabItem.querySelector('.like-btn');
+    const seekBackBtn = tabItem.querySelector('.seek-back-btn');
+    const seekForwardBtn = tabItem.querySelector('.seek-forward-btn');
+    const seekBar = tabItem.querySelector('.seek-bar');
+    const volumeBar = tabItem.querySelector('.volume-bar');
+    const boostSelect = tabItem.querySelector('.boost-select');
+    const speedSelect = tabItem.querySelector('.speed-select');
+    const speedCustom = tabItem.querySelector('.speed-custom');
+    const pitchBtn = tabItem.querySelector('.pitch-btn');
+
+    prevBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await skipTrack(tab.id, 'prev', prevBtn);
+    });
+
+    pauseBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await toggleTabPlayPause(tab.id, pauseBtn);
+    });
+
+    nextBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await skipTrack(tab.id, 'next', nextBtn);
+    });
+
+    muteBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await toggleTabMute(tab.id, muteBtn);
+    });
+
+    likeBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await likeTrack(tab.id, likeBtn);
+    });
+
+    seekBackBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await seekTab(tab.id, { offset: -SEEK_JUMP_SECONDS }, seekBackBtn);
+    });
+
+    seekForwardBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await seekTab(tab.id, { offset: SEEK_JUMP_SECONDS }, seekForwardBtn);
+    });
+
+    // While dragging only the labels follow the thumb, the seek happens on release
+    seekBar.addEventListener('input', () => {
+        seekBar.dataset.dragging = 'true';
+        updateSeekLabels(tabItem, Number(seekBar.value), Number(seekBar.max));
+    });
+
+    seekBar.addEventListener('change', async () => {
+        delete seekBar.dataset.dragging;
+        await seekTab(tab.id, { position: Number(seekBar.value) }, seekBar);
+    });
 
-            tabsContainer.appendChild(tabItem);
+    // Volume follows the slider live; the level is remembered once released
+    volumeBar.addEventListener('input', () => {
+        volumeBar.dataset.dragging = 'true';
+        tabItem.querySelector('.volume-level').textContent = `${volumeBar.value}%`;
+        setTabVolume(tab.id, Number(volumeBar.value) / 100, false);
+    });
+
+    volumeBar.addEventListener('change', () => {
+        delete volumeBar.dataset.dragging;
+        setTabVolume(tab.id, Number(volumeBar.value) / 100, true);
+    });
+
+    boostSelect.addEventListener('change', async () => {
+        await setTabBoost(tab.id, Number(boostSelect.value), boostSelect);
+    });
+
+    speedSelect.addEventListener('change', async () => {
+        if (speedSelect.value === 'custom') {
+            speedCustom.hidden = false;
+            speedCustom.focus();
+            return;
+        }
+        speedCustom.hidden = true;
+        await setTabSpeed(tab.id, Number(speedSelect.value), pitchBtn.classList.contains('active'), tabItem);
+    });
+
+    speedCustom.addEventListener('change', async () => {
+        const rate = Number(speedCustom.value);
+        const valid = rate >= Number(speedCustom.min) && rate <= Number(speedCustom.max);
+        speedCustom.classList.toggle('invalid', !valid);
+        if (valid) await setTabSpeed(tab.id, rate, pitchBtn.classList.contains('active'), tabItem);
+    });
+
+    pitchBtn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        const rate = speedSelect.value === 'custom' ? Number(speedCustom.value) : Number(speedSelect.value);
+        await setTabSpeed(tab.id, rate || 1, !pitchBtn.classList.contains('active'), tabItem);
+    });
+
+    updateTabItem(tabItem, tab);
+    return tabItem;
+}
+
+// Function to update the elapsed/remaining labels of a row
+function updateSeekLabels(tabItem, currentTime, duration) {
+    tabItem.querySelector('.seek-elapsed').textContent = formatTime(currentTime);
+    tabItem.querySelector('.seek-remaining').textContent = duration ? `-${formatTime(duration - currentTime)}` : formatTime(null);
+}
+
+// Function to refresh the dynamic parts of an existing row
+function updateTabItem(tabItem, tab) {
+    // Media Session metadata names the track better than the page title does
+    const metadata = tab.metadata || {};
+    tabItem.querySelector('.tab-title').textContent = metadata.title || tab.title || '';
+    tabItem.querySelector('.tab-url').textContent = tab.url || '';
+
+    const pinBtn = tabItem.querySelector('.pin-btn');
+    pinBtn.classList.toggle('active', !!tab.isPrimary);
+    pinBtn.title = tab.isPrimary ? 'Unpin from keyboard shortcuts' : 'Control this tab with keyboard shortcuts';
+
+    const artist = tabItem.querySelector('.tab-artist');
+    artist.textContent = [metadata.artist, metadata.album].filter(Boolean).join(' — ');
+    artist.hidden = !artist.textContent;
+    artist.title = metadata.title ? tab.title || '' : '';
+
+    const artwork = tabItem.querySelector('.tab-artwork');
+    if (metadata.artwork) {
+        if (artwork.getAttribute('src') !== metadata.artwork) artwork.src = metadata.artwork;
+        artwork.hidden = false;
+    } else {
+        artwork.removeAttribute('src');
+        artwork.hidden = true;
+    }
+    tabItem.querySelector('.tab-info').textContent = describeMediaState(tab);
+    tabItem.querySelector('.autoplay-notice').hidden = !tab.autoplayBlocked;
+
+    // Buttons showing a pending action keep their label until the action settles
+    const pauseBtn = tabItem.querySelector('.pause-btn');
+    if (!pauseBtn.disabled) pauseBtn.textContent = tab.isPlaying ? 'Pause' : 'Play';
+    const muteBtn = tabItem.querySelector('.mute-btn');
+    if (!muteBtn.disabled) muteBtn.textContent = tab.muted ? 'Unmute' : 'Mute';
+
+    const volume = tabItem.querySelector('.tab-volume');
+    const volumeBar = tabItem.querySelector('.volume-bar');
+    volume.hidden = tab.volume == null;
+    if (tab.volume != null && !volumeBar.dataset.dragging) {
+        const percent = Math.round(tab.volume * 100);
+        volumeBar.value = percent;
+        tabItem.querySelector('.volume-level').textContent = `${percent}%`;
+    }
+
+    const boostSelect = tabItem.querySelector('.boost-select');
+    const processing = tab.audioProcessing;
+    if (processing && !boostSelect.disabled) {
+        boostSelect.value = String(processing.boost);
+        boostSelect.title = processing.unsupported ? 'Cross-origin media can\'t be boosted' : 'Volume boost';
+    }
+
+    // Speeds outside the presets show up in the custom field
+    const speed = tabItem.querySelector('.tab-speed');
+    const speedSelect = tabItem.querySelector('.speed-select');
+    const speedCustom = tabItem.querySelector('.speed-custom');
+    speed.hidden = tab.playbackRate == null;
+    if (tab.playbackRate != null && !speedSelect.disabled && document.activeElement !== speedCustom) {
+        const isPreset = SPEED_PRESETS.some(rate => Math.abs(rate - tab.playbackRate) < 0.001);
+        speedSelect.value = isPreset ? String(tab.playbackRate) : 'custom';
+        speedCustom.hidden = isPreset;
+        if (!isPreset) speedCustom.value = String(tab.playbackRate);
+    }
+    const pitchBtn = tabItem.querySelector('.pitch-btn');
+    pitchBtn.classList.toggle('active', tab.preservesPitch !== false);
+    pitchBtn.title = tab.preservesPitch !== false ? 'Pitch stays the same at other speeds' : 'Pitch follows the speed';
+
+    // Sites that use Media Session but register no skip handler only have something to
+    // skip to when the user picked a control for it or the site's adapter knows one
+    const actions = tab.supportedActions || [];
+    const usesMediaSession = actions.length > 0;
+    const adapter = tab.siteAdapter || {};
+    const custom = tab.customControls || {};
+    const canPrev = !usesMediaSession || actions.includes('previoustrack') || !!custom.prev || !!adapter.canPrev;
+    const canNext = !usesMediaSession || actions.includes('nexttrack') || !!custom.next || !!adapter.canNext;
+    const prevBtn = tabItem.querySelector('.prev-btn');
+    const nextBtn = tabItem.querySelector('.next-btn');
+    if (!prevBtn.textContent) prevBtn.disabled = !canPrev;
+    if (!nextBtn.textContent) nextBtn.disabled = !canNext;
+
+    // Only sites with an adapter that knows their like control get the button
+    tabItem.querySelector('.like-btn').hidden = !(tab.siteAdapter && tab.siteAdapter.canLike);
+
+    const seek = tabItem.querySelector('.tab-seek');
+    const seekBar = tabItem.querySelector('.seek-bar');
+    const hasPosition = tab.mediaCount > 0 && tab.currentTime != null;
+    seek.hidden = !hasPosition;
+    if (!hasPosition || seekBar.dataset.dragging) return;
+
+    // Live streams report no duration, so only the elapsed time is shown
+    const duration = tab.duration || 0;
+    seekBar.max = duration;
+    seekBar.value = Math.min(tab.currentTime, duration);
+    seekBar.disabled = !duration;
+    updateSeekLabels(tabItem, tab.currentTime, tab.duration);
+}
+
+// Function to label the header bulk actions after the current state of all tabs
+function updateBulkActions(mediaTabs) {
+    const bulkActions = document.getElementById('bulk-actions');
+    if (!bulkActions) return;
+    bulkActions.hidden = !mediaTabs || mediaTabs.length === 0;
+    if (bulkActions.hidden) return;
+
+    const muteAllBtn = document.getElementById('mute-all-btn');
+    const allMuted = mediaTabs.every(tab => tab.muted);
+    muteAllBtn.classList.toggle('unmute', allMuted);
+    muteAllBtn.textContent = allMuted ? 'Unmute all' : 'Mute all';
+
+    // Resume only makes sense while tabs paused by "pause all" are still waiting
+    const pauseAllBtn = document.getElementById('pause-all-btn');
+    const canResume = mediaTabs.some(tab => tab.pausedByBulk) && !mediaTabs.some(tab => tab.isPlaying);
+    pauseAllBtn.classList.toggle('resume', canResume);
+    pauseAllBtn.textContent = canResume ? 'Resume all' : 'Pause all';
+}
+
+// Function to label a window group in the sidebar
+function describeWindow(windowId, index) {
+    return windowId === currentWindowId ? 'This window' : `Window ${index + 1}`;
+}
+
+// Function to render tabs, updating rows in place when the tab list is unchanged
+// so live updates don't interrupt a drag on the seek bar
+function renderTabs(mediaTabs) {
+    if (!tabsContainer) return;
+    updateBulkActions(mediaTabs);
+    
+    if (mediaTabs && mediaTabs.length > 0) {
+        // The sidebar lists tabs window by window, keeping the order within each window
+        const windowIds = isSidebar ? [...new Set(mediaTabs.map(tab => tab.windowId))] : [null];
+        const groups = windowIds.map(windowId => ({
+            windowId,
+            tabs: isSidebar ? mediaTabs.filter(tab => tab.windowId === windowId) : mediaTabs
+        }));
+        const layout = groups.map(group => `${group.windowId}:${group.tabs.map(tab => tab.id).join(',')}`).join('|') +
+            (isSidebar ? `|${currentWindowId}` : '');
+        const rows = Array.from(tabsContainer.querySelectorAll('.tab-item'));
+        if (tabsContainer.dataset.layout === layout) {
+            const orderedTabs = groups.flatMap(group => group.tabs);
+            rows.forEach((row, i) => updateTabItem(row, orderedTabs[i]));
+            return;
+        }
+
+        tabsContainer.innerHTML = '';
+        tabsContainer.dataset.layout = layout;
+        groups.forEach((group, index) => {
+            if (isSidebar) {
+                const heading = document.createElement('div');
+                heading.className = 'window-heading';
+                heading.textContent = describeWindow(group.windowId, index);
+                tabsContainer.appendChild(heading);
+            }
+            group.tabs.forEach(tab => {
+                tabsContainer.appendChild(createTabItem(tab));
+            });
         });
     } else {
+        delete tabsContainer.dataset.layout;
         tabsContainer.innerHTML = '<div class="no-tabs">🔇 No tabs with media found</div>';
     }
 }
@@ -94,6 +477,42 @@ function updateTabs(tabs) {
     renderTabs(currentTabs);
 }
 
+// Function to map a linear level onto the meter's decibel scale
+function levelToPercent(level) {
+    if (!(level > 0)) return 0;
+    const db = 20 * Math.log10(level);
+    return Math.min(100, Math.max(0, (1 - db / LEVEL_METER_FLOOR_DB) * 100));
+}
+
+// Function to draw the live level streamed for a tab
+function updateLevelMeter({ tabId, rms, peak }) {
+    const tabItem = tabsContainer.querySelector(`.tab-item[data-tab-id="${tabId}"]`);
+    if (!tabItem) return;
+    const meter = tabItem.querySelector('.level-meter');
+    meter.hidden = false;
+    meter.querySelector('.level-meter-rms').style.width = `${levelToPercent(rms)}%`;
+    meter.querySelector('.level-meter-peak').style.left = `${levelToPercent(peak)}%`;
+}
+
+// Function to send a command to the background. While the port is connected the
+// request travels over it and the answer comes back with the same requestId;
+// otherwise it goes out as a one-off message. Either way the answer is { success, error, ... }.
+function sendCommand(message) {
+    if (!backgroundPort) {
+        return browser.runtime.sendMessage(message);
+    }
+    const requestId = ++lastRequestId;
+    return new Promise((resolve, reject) => {
+        pendingRequests.set(requestId, { resolve, reject });
+        try {
+            backgroundPort.postMessage({ ...message, requestId });
+        } catch (error) {
+            pendingRequests.delete(requestId);
+            reject(error);
+        }
+    });
+}
+
 // Connect to background script
 function connectToBackground() {
     if (backgroundPort) {
@@ -101,7 +520,7 @@ function connectToBackground() {
     }
     
     try {
-        backgroundPort = browser.runtime.connect({ name: 'popup' });
+        backgroundPort = browser.runtime.connect({ name: isSidebar ? 'sidebar' : 'popup' });
         
         backgroundPort.onMessage.addListener((message) => {
             if (message.command === 'update_media_tabs' && message.tabs) {
@@ -111,18 +530,28 @@ function connectToBackground() {
                     currentTabs = message.tabs.map(tab => ({
                         ...tab,
                         // Ensure we have all required properties
-                        isPlaying: tab.isPlaying || tab.audible,
+                        isPlaying: tab.isPlaying !== undefined ? tab.isPlaying : tab.audible,
                         muted: tab.muted || false
                     }));
                     
                     // Re-render the tabs with the updated state
                     renderTabs(currentTabs);
                 }
+            } else if (message.command === 'audio_levels') {
+                updateLevelMeter(message);
+            } else if (message.command === 'response') {
+                const pending = pendingRequests.get(message.requestId);
+                if (pending) {
+                    pendingRequests.delete(message.requestId);
+                    pending.resolve(message.response);
+                }
             }
         });
         
         backgroundPort.onDisconnect.addListener(() => {
             backgroundPort = null;
+            pendingRequests.forEach(({ reject }) => reject(new Error('The background page disconnected')));
+            pendingRequests.clear();
         });
     } catch (error) {
         console.error('Error connecting to background:', error);
@@ -136,6 +565,78 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Connect to background script
     connectToBackground();
     
+    // The sidebar marks the window it is docked in among the window groups
+    if (isSidebar) {
+        browser.windows.getCurrent().then(win => {
+            currentWindowId = win.id;
+            renderTabs(currentTabs);
+        });
+    }
+    
+    const normalizeToggle = document.getElementById('normalize-toggle');
+    browser.storage.local.get(NORMALIZE_KEY).then(stored => {
+        renderNormalizeToggle(normalizeToggle, !!stored[NORMALIZE_KEY]);
+    });
+    normalizeToggle.addEventListener('click', () => toggleNormalization(normalizeToggle));
+    
+    const muteAllBtn = document.getElementById('mute-all-btn');
+    muteAllBtn.addEventListener('click', () => {
+        runBulkAction({ command: muteAllBtn.classList.contains('unmute') ? 'unmute_all' : 'mute_all' }, muteAllBtn);
+    });
+    
+    const pauseAllBtn = document.getElementById('pause-all-btn');
+    pauseAllBtn.addEventListener('click', () => {
+        runBulkAction({ command: pauseAllBtn.classList.contains('resume') ? 'resume_all' : 'pause_all' }, pauseAllBtn);
+    });
+    
+    const sleepTimerToggle = document.getElementById('sleep-timer-toggle');
+    sleepTimerToggle.addEventListener('click', () => {
+        const panel = document.getElementById('sleep-timer');
+        panel.hidden = !panel.hidden;
+        sleepTimerToggle.setAttribute('aria-expanded', String(!panel.hidden));
+    });
+    document.querySelectorAll('.sleep-timer-options .bulk-button').forEach(button => {
+        button.addEventListener('click', () => {
+            setSleepTimer(button.dataset.endOfTrack ? { endOfTrack: true } : { minutes: Number(button.dataset.minutes) }, button);
+        });
+    });
+    const cancelSleepTimerBtn = document.getElementById('cancel-sleep-timer');
+    cancelSleepTimerBtn.addEventListener('click', () => cancelSleepTimer(cancelSleepTimerBtn));
+    loadSleepTimer();
+    let sleepTimerTicks = 0;
+    setInterval(() => {
+        if (!sleepTimerStatus.active) return;
+        sleepTimerTicks++;
+        if (sleepTimerTicks % SLEEP_TIMER_REFRESH_SECONDS === 0 || sleepTimerStatus.endsAt <= Date.now()) {
+            loadSleepTimer();
+        } else {
+            renderSleepTimer();
+        }
+    }, 1000);
+    
+    const historyToggle = document.getElementById('history-toggle');
+    historyToggle.addEventListener('click', () => toggleHistoryView(historyToggle));
+    
+    const historySearch = document.getElementById('history-search');
+    let historySearchTimer = null;
+    historySearch.addEventListener('input', () => {
+        clearTimeout(historySearchTimer);
+        historySearchTimer = setTimeout(() => loadHistory(historySearch.value), 200);
+    });
+    
+    const clearHistoryBtn = document.getElementById('clear-history-btn');
+    clearHistoryBtn.addEventListener('click', () => clearHistory(clearHistoryBtn));
+    
+    document.getElementById('open-stats').addEventListener('click', () => {
+        browser.tabs.create({ url: '/stats/stats.html' });
+        closePopup();
+    });
+    
+    document.getElementById('open-options').addEventListener('click', () => {
+        browser.runtime.openOptionsPage();
+        closePopup();
+    });
+    
     // Add visibility change listener to refresh when popup is reopened
     document.addEventListener('visibilitychange', () => {
         if (!document.hidden) {
@@ -147,64 +648,6 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
-    function renderTabs(mediaTabs) {
-        if (mediaTabs && mediaTabs.length > 0) {
-            tabsContainer.innerHTML = '';
-            mediaTabs.forEach(tab => {
-                const tabItem = document.createElement('div');
-                tabItem.className = 'tab-item';
-                tabItem.innerHTML = `
-                    <div class="tab-content">
-                        <div class="tab-title">${escapeHtml(tab.title)}</div>
-                        <div class="tab-url">${escapeHtml(tab.url)}</div>
-                    </div>
-                    <div class="tab-controls">
-                        <div class="tab-info"></div>
-                        <button class="control-button prev-btn" data-tab-id="${tab.id}" title="Previous Track"></button>
-                        <button class="control-button pause-btn" data-tab-id="${tab.id}"> Pause</button>
-                        <button class="control-button next-btn" data-tab-id="${tab.id}" title="Next Track"></button>
-                        <button class="control-button mute-btn" data-tab-id="${tab.id}"> Mute</button>
-                    </div>
-                `;
-
-                const tabContent = tabItem.querySelector('.tab-content');
-                tabContent.addEventListener('click', () => {
-                    browser.tabs.update(tab.id, { active: true });
-                    window.close();
-                });
-
-                const prevBtn = tabItem.querySelector('.prev-btn');
-                const pauseBtn = tabItem.querySelector('.pause-btn');
-                const nextBtn = tabItem.querySelector('.next-btn');
-                const muteBtn = tabItem.querySelector('.mute-btn');
-
-                pauseBtn.textContent = tab.isPlaying ? ' Pause' : ' Play';
-                muteBtn.textContent = tab.muted ? 'Unmute' : ' Mute';
-
-                prevBtn.addEventListener('click', async (e) => {
-                    e.stopPropagation();
-                    await skipTrack(tab.id, 'prev', prevBtn);
-                });
-                pauseBtn.addEventListener('click', async (e) => {
-                    e.stopPropagation();
-                    await toggleTabPlayPause(tab.id, pauseBtn);
-                });
-                nextBtn.addEventListener('click', async (e) => {
-                    e.stopPropagation();
-                    await skipTrack(tab.id, 'next', nextBtn);
-                });
-                muteBtn.addEventListener('click', async (e) => {
-                    e.stopPropagation();
-                    await toggleTabMute(tab.id, muteBtn);
-                });
-
-                tabsContainer.appendChild(tabItem);
-            });
-        } else {
-            tabsContainer.innerHTML = '<div class="no-tabs">🔇 No tabs with media found</div>';
-        }
-    }
-
     // Function to update the tabs list
     async function updateTabsList() {
         if (!shouldUpdateTabs()) return;
@@ -213,13 +656,11 @@ document.addEventListener('DOMContentLoaded', async () => {
             // If we have a connection, the background will push updates to us
             // Otherwise, fall back to the old method
             if (!backgroundPort) {
-                const response = await browser.runtime.sendMessage({ command: 'get_media_tabs' });
-                if (response && response.tabs) {
-                    updateTabs(response.tabs);
-                }
+                const response = await sendCommand({ command: 'get_media_tabs' });
+                updateTabs(response.tabs);
             } else {
                 // Request an immediate update
-                backgroundPort.postMessage({ command: 'request_update' });
+                await sendCommand({ command: 'request_update' });
             }
         } catch (error) {
             console.error('Error updating tabs list:', error);
@@ -235,11 +676,11 @@ document.addEventListener('DOMContentLoaded', async () => {
         const timeoutPromise = new Promise((_, reject) => {
             setTimeout(() => reject(new Error('Timeout')), 5000);
         });
-        const mediaTabs = await Promise.race([
-            browser.runtime.sendMessage({ command: 'get_media_tabs' }),
+        const response = await Promise.race([
+            sendCommand({ command: 'get_media_tabs' }),
             timeoutPromise,
         ]);
-        renderTabs(mediaTabs);
+        updateTabs(response.tabs);
     } catch (error) {
         console.error('Popup: initial load error', error);
         if (error.message === 'Timeout') {
@@ -248,32 +689,8 @@ document.addEventListener('DOMContentLoaded', async () => {
             tabsContainer.innerHTML = '<div class="no-tabs">❌ Error loading tabs</div>';
         }
     }
-
-    // Listen for push updates from background
-    browser.runtime.onMessage.addListener((message) => {
-        if (message && message.command === 'audible_tabs_changed') {
-            // Adapt pushed schema to popup schema
-            const tabs = (message.tabs || []).map(t => ({
-                id: t.id,
-                title: t.title,
-                url: t.url,
-                muted: !!t.muted,
-                isPlaying: true,
-                isPaused: false,
-                mediaCount: 1,
-            }));
-            renderTabs(tabs);
-        }
-    });
 });
 
-// Helper function to escape HTML characters
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-}
-
 // Function to toggle play/pause for a tab
 async function toggleTabPlayPause(tabId, button) {
     try {
@@ -283,7 +700,7 @@ async function toggleTabPlayPause(tabId, button) {
         button.disabled = true;
         button.textContent = '⏳ Loading...';
         
-        const result = await browser.runtime.sendMessage({ 
+        const result = await sendCommand({ 
             command: "toggle_play_pause", 
             tabId: tabId 
         });
@@ -316,7 +733,7 @@ async function skipTrack(tabId, direction, button) {
         button.disabled = true;
         button.textContent = '⏳';
         
-        const result = await browser.runtime.sendMessage({ 
+        const result = await sendCommand({ 
             command: "skip_track", 
             tabId: tabId,
             direction: direction
@@ -342,6 +759,255 @@ async function skipTrack(tabId, direction, button) {
     }
 }
 
+// Function to seek the primary media element of a tab, either to a position or by an offset
+async function seekTab(tabId, { position, offset }, control) {
+    try {
+        console.log(`Popup: Seeking tab ${tabId}`, position !== undefined ? `to ${position}s` : `by ${offset}s`);
+        
+        // Disable the control temporarily to prevent overlapping seeks
+        control.disabled = true;
+        
+        const result = await sendCommand({ 
+            command: "seek_media", 
+            tabId: tabId,
+            position: position,
+            offset: offset
+        });
+        
+        if (result.success) {
+            const tabItem = control.closest('.tab-item');
+            if (tabItem) updateSeekLabels(tabItem, result.currentTime, result.duration);
+            console.log(`Popup: Tab ${tabId} is now at ${result.currentTime}s`);
+        } else {
+            console.error(`Popup: Failed to seek tab ${tabId}:`, result.error);
+        }
+    } catch (error) {
+        console.error(`Popup: Error seeking tab ${tabId}:`, error);
+    } finally {
+        control.disabled = false;
+    }
+}
+
+// Function to set the volume (0-1) of every media element in a tab; `persist`
+// also remembers it for the site
+async function setTabVolume(tabId, volume, persist) {
+    try {
+        const result = await sendCommand({ 
+            command: "set_volume", 
+            tabId: tabId,
+            volume: volume,
+            persist: persist
+        });
+        
+        if (!result.success) {
+            console.error(`Popup: Failed to set volume for tab ${tabId}:`, result.error);
+        }
+    } catch (error) {
+        console.error(`Popup: Error setting volume for tab ${tabId}:`, error);
+    }
+}
+
+// Function to boost a tab above 100% through the content script's Web Audio pipeline
+async function setTabBoost(tabId, boost, select) {
+    try {
+        console.log(`Popup: Setting boost for tab ${tabId} to ${boost}`);
+        
+        select.disabled = true;
+        
+        const result = await sendCommand({ 
+            command: "set_audio_boost", 
+            tabId: tabId,
+            boost: boost
+        });
+        
+        if (result.success) {
+            select.title = 'Volume boost';
+        } else {
+            // Fall back to what the page is actually playing at
+            console.error(`Popup: Failed to boost tab ${tabId}:`, result.error);
+            select.value = String(result.boost !== undefined ? result.boost : 1);
+            select.title = `❌ ${result.error}`;
+        }
+    } catch (error) {
+        console.error(`Popup: Error boosting tab ${tabId}:`, error);
+        select.title = '❌ Error';
+    } finally {
+        select.disabled = false;
+    }
+}
+
+// Function to let a site autoplay from now on and start what was blocked
+async function allowAutoplay(tabId, button) {
+    try {
+        console.log(`Popup: Allowing autoplay for tab ${tabId}`);
+        button.disabled = true;
+        
+        const result = await sendCommand({ 
+            command: "allow_autoplay", 
+            tabId: tabId 
+        });
+        
+        if (result.success) {
+            button.closest('.autoplay-notice').hidden = true;
+        } else {
+            console.error(`Popup: Failed to allow autoplay for tab ${tabId}:`, result.error);
+            button.title = `❌ ${result.error}`;
+        }
+    } catch (error) {
+        console.error(`Popup: Error allowing autoplay for tab ${tabId}:`, error);
+        button.title = '❌ Error';
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// Function to change the playback speed of every media element in a tab
+async function setTabSpeed(tabId, rate, preservesPitch, tabItem) {
+    const speedSelect = tabItem.querySelector('.speed-select');
+    try {
+        console.log(`Popup: Setting speed for tab ${tabId} to ${rate}×`);
+        speedSelect.disabled = true;
+        
+        const result = await sendCommand({ 
+            command: "set_playback_rate", 
+            tabId: tabId,
+            rate: rate,
+            preservesPitch: preservesPitch
+        });
+        
+        if (result.success) {
+            speedSelect.title = 'Playback speed';
+            tabItem.querySelector('.pitch-btn').classList.toggle('active', result.preservesPitch);
+        } else {
+            console.error(`Popup: Failed to set the speed of tab ${tabId}:`, result.error);
+            speedSelect.title = `❌ ${result.error}`;
+        }
+    } catch (error) {
+        console.error(`Popup: Error setting the speed of tab ${tabId}:`, error);
+        speedSelect.title = '❌ Error';
+    } finally {
+        speedSelect.disabled = false;
+    }
+}
+
+// Function to reflect the loudness normalization setting on the header toggle
+function renderNormalizeToggle(button, enabled) {
+    button.classList.toggle('active', enabled);
+    button.setAttribute('aria-pressed', String(enabled));
+}
+
+// Function to toggle loudness normalization across all tabs
+async function toggleNormalization(button) {
+    const enabled = !button.classList.contains('active');
+    try {
+        button.disabled = true;
+        const result = await sendCommand({ 
+            command: "set_normalization", 
+            enabled: enabled
+        });
+        
+        if (result.success) {
+            renderNormalizeToggle(button, enabled);
+            console.log(`Popup: Loudness normalization ${enabled ? 'enabled' : 'disabled'}`);
+        } else {
+            console.error('Popup: Failed to toggle normalization:', result.error);
+        }
+    } catch (error) {
+        console.error('Popup: Error toggling normalization:', error);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// Function to like the current track through the site's adapter
+async function likeTrack(tabId, button) {
+    try {
+        console.log(`Popup: Liking the current track in tab ${tabId}`);
+        
+        // Disable button temporarily to prevent multiple clicks
+        button.disabled = true;
+        
+        const result = await sendCommand({ 
+            command: "like_track", 
+            tabId: tabId 
+        });
+        
+        if (result.success) {
+            button.classList.add('liked');
+        } else {
+            console.error(`Popup: Failed to like the track in tab ${tabId}:`, result.error);
+            button.title = `❌ ${result.error}`;
+        }
+    } catch (error) {
+        console.error(`Popup: Error liking the track in tab ${tabId}:`, error);
+        button.title = '❌ Error';
+    } finally {
+        // Re-enable button after a short delay
+        setTimeout(() => {
+            button.disabled = false;
+        }, 1000);
+    }
+}
+
+// Function to run a bulk command (mute/unmute all, pause/resume all, solo)
+async function runBulkAction(message, button) {
+    try {
+        console.log(`Popup: Running bulk action ${message.command}`);
+        button.disabled = true;
+        
+        const result = await sendCommand(message);
+        if (!result.success) {
+            console.error(`Popup: Bulk action ${message.command} failed:`, result.error);
+        }
+    } catch (error) {
+        console.error(`Popup: Error running bulk action ${message.command}:`, error);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// Function to pin the tab keyboard shortcuts control, or unpin with null
+async function setPrimaryTab(tabId) {
+    try {
+        const result = await sendCommand({ 
+            command: "set_primary_tab", 
+            tabId: tabId 
+        });
+        if (!result.success) {
+            console.error('Popup: Failed to set the primary tab:', result.error);
+        }
+    } catch (error) {
+        console.error('Popup: Error setting the primary tab:', error);
+    }
+}
+
+// Function to switch to a tab and let the user click its next/previous/play controls
+async function startElementPicker(tabId, button) {
+    try {
+        console.log(`Popup: Starting the element picker in tab ${tabId}`);
+        button.disabled = true;
+        
+        await browser.tabs.update(tabId, { active: true });
+        const result = await sendCommand({ 
+            command: "start_element_picker", 
+            tabId: tabId 
+        });
+        
+        if (result.success) {
+            // The page needs the clicks now
+            closePopup();
+        } else {
+            console.error(`Popup: Failed to start the element picker in tab ${tabId}:`, result.error);
+            button.title = `❌ ${result.error}`;
+        }
+    } catch (error) {
+        console.error(`Popup: Error starting the element picker in tab ${tabId}:`, error);
+        button.title = '❌ Error';
+    } finally {
+        button.disabled = false;
+    }
+}
+
 // Function to toggle mute for a tab
 async function toggleTabMute(tabId, button) {
     try {
@@ -351,7 +1017,7 @@ async function toggleTabMute(tabId, button) {
         button.disabled = true;
         button.textContent = '⏳ Loading...';
         
-        const result = await browser.runtime.sendMessage({ 
+        const result = await sendCommand({ 
             command: "toggle_mute", 
             tabId: tabId 
         });
@@ -373,4 +1039,187 @@ async function toggleTabMute(tabId, button) {
             button.disabled = false;
         }, 1000);
     }
-}
\ No newline at end of file
+}
+
+// Function to switch the popup between the live tab list and the listening history
+function toggleHistoryView(button) {
+    const showing = document.body.classList.toggle('showing-history');
+    document.getElementById('history-view').hidden = !showing;
+    button.classList.toggle('active', showing);
+    button.setAttribute('aria-pressed', String(showing));
+    if (showing) {
+        const search = document.getElementById('history-search');
+        loadHistory(search.value);
+        search.focus();
+    }
+}
+
+// Function to build the row for a single history entry
+function createHistoryItem(entry) {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    item.title = entry.url;
+    const started = new Date(entry.startedAt).toLocaleString([], {
+        month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+    const by = entry.artist ? `${escapeHtml(entry.artist)} · ` : '';
+    const resumeAt = entry.position >= 5 ? ` · ${formatTime(entry.position)}` : '';
+    item.innerHTML = `
+        <img class="tab-artwork" alt="" hidden>
+        <div class="tab-text">
+            <div class="tab-title">${escapeHtml(entry.title || entry.url)}</div>
+            <div class="history-meta">${by}${escapeHtml(entry.hostname)}</div>
+            <div class="history-meta">${started} · ${formatDuration(entry.listenedMs)}${resumeAt}</div>
+        </div>
+    `;
+    if (entry.artwork) {
+        const artwork = item.querySelector('.tab-artwork');
+        artwork.src = entry.artwork;
+        artwork.hidden = false;
+    }
+    item.addEventListener('click', () => reopenHistoryEntry(entry.id));
+    return item;
+}
+
+// Function to fetch and show the listening history, optionally filtered
+async function loadHistory(query) {
+    const list = document.getElementById('history-list');
+    try {
+        const result = await sendCommand({ 
+            command: "get_history", 
+            query: query 
+        });
+        if (!result.success) {
+            console.error('Popup: Failed to load the listening history:', result.error);
+            list.innerHTML = '<div class="no-tabs">❌ Error loading history</div>';
+            return;
+        }
+        
+        list.innerHTML = '';
+        if (result.entries.length === 0) {
+            list.innerHTML = query
+                ? '<div class="no-tabs">No matches in your history</div>'
+                : '<div class="no-tabs">Nothing played yet</div>';
+            return;
+        }
+        result.entries.forEach(entry => list.appendChild(createHistoryItem(entry)));
+    } catch (error) {
+        console.error('Popup: Error loading the listening history:', error);
+        list.innerHTML = '<div class="no-tabs">❌ Error loading history</div>';
+    }
+}
+
+// Function to reopen a history entry in a new tab, picking up where it left off
+async function reopenHistoryEntry(id) {
+    try {
+        const result = await sendCommand({ 
+            command: "reopen_history_entry", 
+            id: id 
+        });
+        if (result.success) {
+            closePopup();
+        } else {
+            console.error(`Popup: Failed to reopen history entry ${id}:`, result.error);
+        }
+    } catch (error) {
+        console.error(`Popup: Error reopening history entry ${id}:`, error);
+    }
+}
+
+// Function to delete the whole listening history; the first click only arms the
+// button because popups can't show confirm() dialogs
+async function clearHistory(button) {
+    if (!button.classList.contains('confirming')) {
+        button.classList.add('confirming');
+        button.textContent = 'Confirm';
+        setTimeout(() => {
+            button.classList.remove('confirming');
+            button.textContent = 'Clear';
+        }, 3000);
+        return;
+    }
+    button.classList.remove('confirming');
+    button.textContent = 'Clear';
+    try {
+        button.disabled = true;
+        const result = await sendCommand({ command: "clear_history" });
+        if (result.success) {
+            loadHistory(document.getElementById('history-search').value);
+        } else {
+            console.error('Popup: Failed to clear the listening history:', result.error);
+        }
+    } catch (error) {
+        console.error('Popup: Error clearing the listening history:', error);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// Function to show the sleep timer's countdown, or the choices when none is set
+function renderSleepTimer() {
+    const toggle = document.getElementById('sleep-timer-toggle');
+    const status = document.getElementById('sleep-timer-status');
+    const cancelBtn = document.getElementById('cancel-sleep-timer');
+    toggle.classList.toggle('active', sleepTimerStatus.active);
+    cancelBtn.hidden = !sleepTimerStatus.active;
+    
+    if (!sleepTimerStatus.active) {
+        status.textContent = 'Fade out and pause everything after';
+        toggle.title = 'Sleep timer';
+        return;
+    }
+    const remaining = (sleepTimerStatus.endsAt - Date.now()) / 1000;
+    const text = remaining <= 0 ? 'Fading out…' : sleepTimerStatus.endOfTrack
+        ? `Pausing at the end of this track (${formatTime(remaining)})`
+        : `Pausing in ${formatTime(remaining)}`;
+    status.textContent = text;
+    toggle.title = `Sleep timer: ${text}`;
+}
+
+// Function to fetch the sleep timer from the background, where it keeps running
+async function loadSleepTimer() {
+    try {
+        const result = await sendCommand({ command: "get_sleep_timer" });
+        if (result.success) {
+            sleepTimerStatus = result;
+            renderSleepTimer();
+        }
+    } catch (error) {
+        console.error('Popup: Error loading the sleep timer:', error);
+    }
+}
+
+// Function to start the sleep timer for a number of minutes or until the current track ends
+async function setSleepTimer(options, button) {
+    try {
+        button.disabled = true;
+        const result = await sendCommand({ command: "set_sleep_timer", ...options });
+        if (result.success) {
+            sleepTimerStatus = result;
+            renderSleepTimer();
+        } else {
+            console.error('Popup: Failed to set the sleep timer:', result.error);
+            document.getElementById('sleep-timer-status').textContent = `❌ ${result.error}`;
+        }
+    } catch (error) {
+        console.error('Popup: Error setting the sleep timer:', error);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// Function to call off the sleep timer
+async function cancelSleepTimer(button) {
+    try {
+        button.disabled = true;
+        const result = await sendCommand({ command: "cancel_sleep_timer" });
+        if (result.success) {
+            sleepTimerStatus = result;
+            renderSleepTimer();
+        }
+    } catch (error) {
+        console.error('Popup: Error cancelling the sleep timer:', error);
+    } finally {
+        button.disabled = false;
+    }
+}
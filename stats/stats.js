@@ -0,0 +1,212 @@
+const TOP_SITES_LIMIT = 20;
+const STATUS_DURATION = 2000;
+let listeningStats = {};
+
+// Function to show a short-lived confirmation next to the export buttons
+function showStatus(text) {
+    const element = document.getElementById('stats-status');
+    element.textContent = text;
+    setTimeout(() => {
+        element.textContent = '';
+    }, STATUS_DURATION);
+}
+
+// Function to format milliseconds as "3 h 05 min", "12 min" or "40 s"
+function formatDuration(ms) {
+    const totalSeconds = Math.round((ms || 0) / 1000);
+    if (totalSeconds < 60) return `${totalSeconds} s`;
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    return hours > 0 ? `${hours} h ${String(minutes).padStart(2, '0')} min` : `${minutes} min`;
+}
+
+// Function to format a date the way the background keys its days (local time)
+function getDayKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Function to show an origin the way people recognise it
+function displaySite(origin) {
+    try {
+        return new URL(origin).hostname || origin;
+    } catch (e) {
+        return origin;
+    }
+}
+
+// Function to add up the stored per-day, per-origin times over the last `days` days
+function summarize(stats, days) {
+    const daily = [];
+    const sites = new Map();
+    const today = new Date();
+    for (let offset = days - 1; offset >= 0; offset--) {
+        const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() - offset);
+        const day = getDayKey(date);
+        const totals = { day, audibleMs: 0, mutedMs: 0 };
+        Object.entries(stats[day] || {}).forEach(([origin, time]) => {
+            totals.audibleMs += time.audibleMs;
+            totals.mutedMs += time.mutedMs;
+            const site = sites.get(origin) || { origin, audibleMs: 0, mutedMs: 0 };
+            site.audibleMs += time.audibleMs;
+            site.mutedMs += time.mutedMs;
+            sites.set(origin, site);
+        });
+        daily.push(totals);
+    }
+    const topSites = Array.from(sites.values()).sort((a, b) => b.audibleMs - a.audibleMs);
+    const audibleMs = daily.reduce((sum, day) => sum + day.audibleMs, 0);
+    const mutedMs = daily.reduce((sum, day) => sum + day.mutedMs, 0);
+    return { daily, topSites, audibleMs, mutedMs };
+}
+
+// Function to fill the summary cards
+function renderSummary(summary) {
+    document.getElementById('total-listened').textContent = formatDuration(summary.audibleMs);
+    document.getElementById('total-muted').textContent = formatDuration(summary.mutedMs);
+    document.getElementById('daily-average').textContent = formatDuration(summary.audibleMs / summary.daily.length);
+    document.getElementById('site-count').textContent = String(summary.topSites.length);
+}
+
+// Function to draw one stacked bar per day, heard time on top of muted time
+function renderDailyChart(daily) {
+    const chart = document.getElementById('daily-chart');
+    chart.innerHTML = '';
+    const peak = Math.max(...daily.map(day => day.audibleMs), 1);
+    daily.forEach(day => {
+        const bar = document.createElement('div');
+        bar.className = 'chart-bar';
+        bar.style.height = `${(day.audibleMs / peak) * 100}%`;
+        bar.title = `${day.day}: ${formatDuration(day.audibleMs)}` +
+            (day.mutedMs ? ` (${formatDuration(day.mutedMs)} muted)` : '');
+        const mutedShare = day.audibleMs ? (day.mutedMs / day.audibleMs) * 100 : 0;
+        bar.innerHTML = `
+            <div class="muted" style="height: ${mutedShare}%"></div>
+            <div class="heard" style="height: ${100 - mutedShare}%"></div>
+        `;
+        chart.appendChild(bar);
+    });
+    document.getElementById('chart-start').textContent = daily[0].day;
+    document.getElementById('chart-end').textContent = daily[daily.length - 1].day;
+}
+
+// Function to list the sites with the most listening time
+function renderTopSites(summary) {
+    const tbody = document.getElementById('top-sites');
+    tbody.innerHTML = '';
+    if (summary.topSites.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="4" class="empty">Nothing played in this period</td></tr>';
+        return;
+    }
+    summary.topSites.slice(0, TOP_SITES_LIMIT).forEach(site => {
+        const share = summary.audibleMs ? (site.audibleMs / summary.audibleMs) * 100 : 0;
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td class="site"></td>
+            <td>${formatDuration(site.audibleMs)}</td>
+            <td>${formatDuration(site.mutedMs)}</td>
+            <td class="share"><div class="share-bar" style="width: ${share.toFixed(1)}%"></div></td>
+        `;
+        row.querySelector('.site').textContent = displaySite(site.origin);
+        row.title = `${site.origin} · ${share.toFixed(1)}%`;
+        tbody.appendChild(row);
+    });
+}
+
+// Function to redraw everything for the selected range
+function render() {
+    const days = Number(document.getElementById('stats-range').value);
+    const summary = summarize(listeningStats, days);
+    renderSummary(summary);
+    renderDailyChart(summary.daily);
+    renderTopSites(summary);
+}
+
+// Function to hand a generated file to the browser as a download
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Function to export the selected range as one row per day and site
+function exportStats(format) {
+    const days = Number(document.getElementById('stats-range').value);
+    const { daily } = summarize(listeningStats, days);
+    const rows = [];
+    daily.forEach(({ day }) => {
+        Object.entries(listeningStats[day] || {}).forEach(([origin, time]) => {
+            rows.push({ day, origin, audibleSeconds: Math.round(time.audibleMs / 1000), mutedSeconds: Math.round(time.mutedMs / 1000) });
+        });
+    });
+
+    const filename = `listening-stats-${daily[0].day}-to-${daily[daily.length - 1].day}.${format}`;
+    if (format === 'json') {
+        downloadFile(filename, JSON.stringify(rows, null, 2), 'application/json');
+    } else {
+        const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+        const lines = ['day,origin,audible_seconds,muted_seconds'].concat(
+            rows.map(row => [row.day, quote(row.origin), row.audibleSeconds, row.mutedSeconds].join(',')));
+        downloadFile(filename, lines.join('\n'), 'text/csv');
+    }
+    showStatus(`Exported ${rows.length} rows`);
+}
+
+// Function to fetch the latest numbers, including time on tabs still playing
+async function loadStats() {
+    try {
+        const result = await browser.runtime.sendMessage({ command: "get_listening_stats" });
+        if (!result.success) {
+            console.error('Stats: Failed to load listening statistics:', result.error);
+            return;
+        }
+        listeningStats = result.stats;
+        render();
+    } catch (error) {
+        console.error('Stats: Error loading listening statistics:', error);
+    }
+}
+
+// Function to delete all statistics; the first click only arms the button
+async function resetStats(button) {
+    if (!button.classList.contains('confirming')) {
+        button.classList.add('confirming');
+        button.textContent = 'Click again to reset';
+        setTimeout(() => {
+            button.classList.remove('confirming');
+            button.textContent = 'Reset statistics';
+        }, 3000);
+        return;
+    }
+    button.classList.remove('confirming');
+    button.textContent = 'Reset statistics';
+    try {
+        const result = await browser.runtime.sendMessage({ command: "clear_listening_stats" });
+        if (result.success) {
+            showStatus('Statistics reset');
+            loadStats();
+        } else {
+            console.error('Stats: Failed to reset listening statistics:', result.error);
+        }
+    } catch (error) {
+        console.error('Stats: Error resetting listening statistics:', error);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    loadStats();
+    document.getElementById('stats-range').addEventListener('change', render);
+    document.getElementById('export-csv').addEventListener('click', () => exportStats('csv'));
+    document.getElementById('export-json').addEventListener('click', () => exportStats('json'));
+    const resetButton = document.getElementById('reset-stats');
+    resetButton.addEventListener('click', () => resetStats(resetButton));
+
+    // Time keeps adding up while this page is open
+    setInterval(loadStats, 60 * 1000);
+});
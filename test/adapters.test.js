@@ -0,0 +1,216 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { clone, createFakeBrowser } = require('./helpers/fakeBrowser');
+const { loadPage } = require('./helpers/extension');
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', `${name}.html`), 'utf8');
+}
+
+// A saved page of the site, with every click on it recorded
+function openSite(t, fixture, url) {
+    const page = loadPage({ browser: createFakeBrowser(), url, html: fixture ? readFixture(fixture) : undefined });
+    t.after(page.close);
+    const clicked = [];
+    page.document.addEventListener('click', event => clicked.push(event.target), true);
+    const runAdapterAction = page.evaluate('runAdapterAction');
+    const getAdapterMetadata = page.evaluate('getAdapterMetadata');
+    return {
+        page,
+        clicked,
+        $: selector => page.document.querySelector(selector),
+        act: action => clone(runAdapterAction(page.window.location.href, page.document, action)),
+        metadata: () => clone(getAdapterMetadata(page.window.location.href, page.document))
+    };
+}
+
+const handledBy = name => ({ success: true, method: `adapter-${name}` });
+
+test('YouTube: the player buttons and the watch page title', async t => {
+    const site = openSite(t, 'youtube', 'https://www.youtube.com/watch?v=jfKfPfyJRdk');
+
+    assert.deepEqual(site.act('play'), handledBy('youtube'));
+    assert.deepEqual(site.clicked.splice(0), [site.$('.ytp-play-button')]);
+    // Already paused: nothing to click
+    assert.deepEqual(site.act('pause'), handledBy('youtube'));
+    assert.deepEqual(site.clicked.splice(0), []);
+
+    site.page.setMediaState(site.$('video'), { paused: false });
+    assert.deepEqual(site.act('pause'), handledBy('youtube'));
+    assert.deepEqual(site.act('next'), handledBy('youtube'));
+    assert.deepEqual(site.act('prev'), handledBy('youtube'));
+    assert.deepEqual(site.act('like'), handledBy('youtube'));
+    assert.deepEqual(site.clicked.splice(0),
+        [site.$('.ytp-play-button'), site.$('.ytp-next-button'), site.$('.ytp-prev-button'), site.$('like-button-view-model button')]);
+
+    assert.deepEqual(site.metadata(), {
+        title: 'Lofi beats to study to',
+        artist: 'Lofi Girl',
+        artwork: 'https://i.ytimg.com/vi/jfKfPfyJRdk/mqdefault.jpg'
+    });
+});
+
+test('YouTube Music: the player bar and the byline split into artist and album', async t => {
+    const site = openSite(t, 'youtubeMusic', 'https://music.youtube.com/watch?v=UBS4Gi1y_nc');
+
+    assert.deepEqual(site.act('play'), handledBy('youtube-music'));
+    site.page.setMediaState(site.$('video'), { paused: false });
+    assert.deepEqual(site.act('pause'), handledBy('youtube-music'));
+    assert.deepEqual(site.act('next'), handledBy('youtube-music'));
+    assert.deepEqual(site.act('prev'), handledBy('youtube-music'));
+    assert.deepEqual(site.act('like'), handledBy('youtube-music'));
+    assert.deepEqual(site.clicked, [
+        site.$('#play-pause-button'),
+        site.$('#play-pause-button'),
+        site.$('ytmusic-player-bar .next-button'),
+        site.$('ytmusic-player-bar .previous-button'),
+        site.$('#button-shape-like button')
+    ]);
+
+    assert.deepEqual(site.metadata(), {
+        title: 'Windowlicker',
+        artist: 'Aphex Twin',
+        album: 'Windowlicker',
+        artwork: 'https://lh3.googleusercontent.com/cover=w60-h60'
+    });
+});
+
+test('Spotify: the play button\'s label tells whether it plays', async t => {
+    const site = openSite(t, 'spotify', 'https://open.spotify.com/album/1');
+    const playPause = site.$('[data-testid="control-button-playpause"]');
+
+    assert.deepEqual(site.act('pause'), handledBy('spotify'));
+    assert.deepEqual(site.act('play'), handledBy('spotify'));
+    assert.deepEqual(site.clicked.splice(0), [playPause]);
+
+    playPause.setAttribute('aria-label', 'Pause');
+    assert.deepEqual(site.act('play'), handledBy('spotify'));
+    assert.deepEqual(site.act('pause'), handledBy('spotify'));
+    assert.deepEqual(site.act('next'), handledBy('spotify'));
+    assert.deepEqual(site.act('prev'), handledBy('spotify'));
+    assert.deepEqual(site.act('like'), handledBy('spotify'));
+    assert.deepEqual(site.clicked.splice(0), [
+        playPause,
+        site.$('[data-testid="control-button-skip-forward"]'),
+        site.$('[data-testid="control-button-skip-back"]'),
+        site.$('[data-testid="add-button"]')
+    ]);
+
+    assert.deepEqual(site.metadata(), {
+        title: 'Teardrop',
+        artist: 'Massive Attack',
+        artwork: 'https://i.scdn.co/image/ab67616d00004851'
+    });
+});
+
+test('SoundCloud: the play controls and the sound badge', async t => {
+    const site = openSite(t, 'soundcloud', 'https://soundcloud.com/floatingpoints/silurian-blue');
+    const playControl = site.$('.playControl');
+
+    assert.deepEqual(site.act('play'), handledBy('soundcloud'));
+    playControl.classList.add('playing');
+    assert.deepEqual(site.act('play'), handledBy('soundcloud'));
+    assert.deepEqual(site.act('pause'), handledBy('soundcloud'));
+    assert.deepEqual(site.act('next'), handledBy('soundcloud'));
+    assert.deepEqual(site.act('prev'), handledBy('soundcloud'));
+    assert.deepEqual(site.act('like'), handledBy('soundcloud'));
+    assert.deepEqual(site.clicked,
+        [playControl, playControl, site.$('.skipControl__next'), site.$('.skipControl__previous'), site.$('.playbackSoundBadge__like')]);
+
+    assert.deepEqual(site.metadata(), {
+        title: 'Silurian Blue',
+        artist: 'Floating Points',
+        artwork: 'https://i1.sndcdn.com/artworks-000-t50x50.jpg'
+    });
+});
+
+test('Twitch: the play button\'s state, and no tracks to skip', async t => {
+    const site = openSite(t, 'twitch', 'https://www.twitch.tv/somechannel');
+    const playPause = site.$('[data-a-target="player-play-pause-button"]');
+
+    assert.deepEqual(site.act('play'), handledBy('twitch'));
+    playPause.setAttribute('data-a-player-state', 'playing');
+    assert.deepEqual(site.act('pause'), handledBy('twitch'));
+    assert.deepEqual(site.clicked.splice(0), [playPause, playPause]);
+
+    // Twitch leaves skipping to the generic adapter, which finds nothing to click
+    assert.deepEqual(site.act('next'), { success: false, error: 'No adapter could next on this page' });
+    assert.deepEqual(site.act('prev'), { success: false, error: 'No adapter could prev on this page' });
+    assert.deepEqual(site.clicked, []);
+
+    assert.deepEqual(site.metadata(), {
+        title: 'Speedrunning all night',
+        artist: 'somechannel',
+        artwork: 'https://static-cdn.jtvnw.net/jtv_user_pictures/avatar-70x70.png'
+    });
+});
+
+test('Bandcamp: the inline player and the album\'s name section', async t => {
+    const site = openSite(t, 'bandcamp', 'https://floatingpoints.bandcamp.com/album/promises');
+    const playButton = site.$('.inline_player .playbutton');
+
+    assert.deepEqual(site.act('play'), handledBy('bandcamp'));
+    playButton.classList.add('playing');
+    assert.deepEqual(site.act('pause'), handledBy('bandcamp'));
+    assert.deepEqual(site.act('next'), handledBy('bandcamp'));
+    assert.deepEqual(site.act('prev'), handledBy('bandcamp'));
+    assert.deepEqual(site.clicked, [playButton, playButton, site.$('.nextbutton'), site.$('.prevbutton')]);
+    // Bandcamp has no like button, and neither does the generic adapter
+    assert.deepEqual(site.act('like'), { success: false, error: 'No adapter could like on this page' });
+
+    assert.deepEqual(site.metadata(), {
+        title: 'Movement 1',
+        artist: 'Floating Points',
+        album: 'Promises',
+        artwork: 'https://f4.bcbits.com/img/a1_16.jpg'
+    });
+});
+
+test('a site adapter whose controls are gone falls back to the generic adapter', async t => {
+    const site = openSite(t, 'twitch', 'https://www.twitch.tv/somechannel');
+    const video = site.$('video');
+    site.$('[data-a-target="player-controls"]').remove();
+
+    assert.deepEqual(site.act('play'), handledBy('generic'));
+    assert.equal(video.paused, false);
+    assert.deepEqual(site.clicked, []);
+});
+
+test('a hidden site control is passed over for the generic adapter\'s', async t => {
+    const site = openSite(t, 'youtubeMusic', 'https://music.youtube.com/watch?v=UBS4Gi1y_nc');
+    site.$('ytmusic-player-bar .next-button').hidden = true;
+    site.$('ytmusic-player-bar').insertAdjacentHTML('beforeend', '<button aria-label="Next song"></button>');
+
+    assert.deepEqual(site.act('next'), handledBy('generic'));
+    assert.deepEqual(site.clicked, [site.$('button[aria-label="Next song"]')]);
+});
+
+test('sites without an adapter are controlled through their media elements and common buttons', async t => {
+    const site = openSite(t, null, 'https://radio.example/');
+    site.page.document.body.innerHTML = `
+        <audio src="/stream.mp3"></audio>
+        <div class="controls"><button class="prev">Back</button><button class="next">Forward</button></div>`;
+    const audio = site.$('audio');
+
+    assert.deepEqual(site.act('play'), handledBy('generic'));
+    assert.equal(audio.paused, false);
+    assert.deepEqual(site.act('pause'), handledBy('generic'));
+    assert.equal(audio.paused, true);
+    // Nothing is playing, so there is nothing to pause
+    assert.equal(site.act('pause').success, false);
+    assert.deepEqual(site.act('next'), handledBy('generic'));
+    assert.deepEqual(site.act('prev'), handledBy('generic'));
+    assert.deepEqual(site.clicked, [site.$('.next'), site.$('.prev')]);
+    // Only sites with an adapter have metadata to read
+    assert.equal(site.metadata(), null);
+});
+
+test('a page with no media and no controls can\'t be controlled', async t => {
+    const site = openSite(t, null, 'https://example.com/article');
+
+    for (const action of ['play', 'pause', 'next', 'prev']) {
+        assert.deepEqual(site.act(action), { success: false, error: `No adapter could ${action} on this page` });
+    }
+});
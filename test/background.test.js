@@ -0,0 +1,189 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { NO_RECEIVER, createFakeBrowser, createPortPair, linkToBackground } = require('./helpers/fakeBrowser');
+const { loadBackground, loadPage, settle } = require('./helpers/extension');
+
+const TAB = { id: 1, windowId: 1, url: 'https://example.com/watch', title: 'A video' };
+
+async function startBackground(tabs = []) {
+    const background = loadBackground(createFakeBrowser({ tabs }));
+    await settle();
+    return background;
+}
+
+function sendMediaState(background, tab, state) {
+    return background.send({ command: 'media_state', state: { mediaCount: 1, isPlaying: true, ...state } }, { tab, frameId: 0 });
+}
+
+test('upsertFromTab adds an audible tab and refreshes it on later updates', async () => {
+    const background = await startBackground();
+    const upsertFromTab = background.evaluate('upsertFromTab');
+
+    assert.equal(upsertFromTab({ ...TAB, audible: true, mutedInfo: { muted: true } }), 'added');
+    const entry = background.evaluate('audibleTabsMap.get(1)');
+    assert.equal(entry.title, 'A video');
+    assert.equal(entry.url, 'https://example.com/watch');
+    assert.equal(entry.audible, true);
+    assert.equal(entry.muted, true);
+
+    entry.lastActive = 0;
+    assert.equal(upsertFromTab({ ...TAB, audible: true, title: 'Renamed' }), 'updated');
+    assert.equal(background.evaluate('audibleTabsMap.get(1).title'), 'Renamed');
+    assert.ok(background.evaluate('audibleTabsMap.get(1).lastActive') > 0);
+});
+
+test('upsertFromTab keeps a tab that went quiet with the time it was last heard', async () => {
+    const background = await startBackground();
+    const upsertFromTab = background.evaluate('upsertFromTab');
+
+    upsertFromTab({ ...TAB, audible: true });
+    background.evaluate('audibleTabsMap.get(1).lastActive = 1234');
+    assert.equal(upsertFromTab({ ...TAB, audible: false }), 'updated');
+    assert.equal(background.evaluate('audibleTabsMap.get(1).audible'), false);
+    assert.equal(background.evaluate('audibleTabsMap.get(1).lastActive'), 1234);
+});
+
+test('upsertFromTab ignores tabs that never played and tabs without an id', async () => {
+    const background = await startBackground();
+    const upsertFromTab = background.evaluate('upsertFromTab');
+
+    assert.equal(upsertFromTab({ ...TAB, audible: false }), false);
+    assert.equal(upsertFromTab({ audible: true }), false);
+    assert.equal(upsertFromTab(null), false);
+    assert.equal(background.evaluate('audibleTabsMap.size'), 0);
+});
+
+test('tabs audible at startup are listed', async () => {
+    const background = await startBackground([{ ...TAB, audible: true }, { ...TAB, id: 2, audible: false }]);
+
+    const response = await background.dispatch({ command: 'get_media_tabs' });
+    assert.deepEqual(response.tabs.map(tab => tab.id), [1]);
+});
+
+test('quiet tabs are dropped with their media state once the retention time has passed', async () => {
+    const background = await startBackground([
+        { ...TAB, audible: true },
+        { ...TAB, id: 2, audible: true },
+        { ...TAB, id: 3, audible: true }
+    ]);
+    const upsertFromTab = background.evaluate('upsertFromTab');
+    await sendMediaState(background, { ...TAB, id: 2 }, {});
+    upsertFromTab({ ...TAB, id: 2, audible: false });
+    upsertFromTab({ ...TAB, id: 3, audible: false });
+
+    // Tab 1 still plays and tab 3 went quiet just now; only tab 2 is past the retention time
+    background.evaluate('audibleTabsMap.get(1).lastActive -= TAB_RETENTION_MS');
+    background.evaluate('audibleTabsMap.get(2).lastActive -= TAB_RETENTION_MS');
+
+    const response = await background.dispatch({ command: 'get_media_tabs' });
+    assert.deepEqual(response.tabs.map(tab => tab.id), [1, 3]);
+    assert.equal(background.evaluate('audibleTabsMap.has(2)'), false);
+    assert.equal(background.evaluate('tabMediaState.has(2)'), false);
+    assert.equal(background.evaluate('tabFrameStates.has(2)'), false);
+});
+
+test('audible changes are pushed to a connected popup', async () => {
+    const background = await startBackground([{ ...TAB, audible: false }]);
+    const [popupPort, backgroundPort] = createPortPair('popup', {});
+    background.browser.runtime.onConnect.fire(backgroundPort);
+    await settle();
+    assert.deepEqual(popupPort.received.at(-1).tabs, []);
+
+    background.browser.tabs.onUpdated.fire(1, { audible: true }, { ...TAB, audible: true });
+    await settle();
+    const update = popupPort.received.at(-1);
+    assert.equal(update.command, 'update_media_tabs');
+    assert.deepEqual(update.tabs.map(tab => [tab.id, tab.isPlaying]), [[1, true]]);
+});
+
+test('media state reported by frames is combined per tab', async () => {
+    const background = await startBackground([{ ...TAB, audible: true }]);
+
+    await background.send({ command: 'media_state', state: { mediaCount: 1, isPlaying: false, isPaused: true } },
+        { tab: TAB, frameId: 0 });
+    await background.send({ command: 'media_state', state: { mediaCount: 2, isPlaying: true, playingCount: 1 } },
+        { tab: TAB, frameId: 5 });
+
+    const [tab] = (await background.dispatch({ command: 'get_media_tabs' })).tabs;
+    assert.equal(tab.mediaCount, 3);
+    assert.equal(tab.isPlaying, true);
+    assert.equal(background.evaluate('tabMediaState.get(1).frameId'), 5);
+});
+
+test('a frame removed while playing no longer counts for its tab', async t => {
+    const background = await startBackground([{ ...TAB, audible: true }]);
+    await background.send({ command: 'media_state', state: { mediaCount: 1, isPlaying: false, isPaused: true } },
+        { tab: TAB, frameId: 0 });
+
+    // An embedded player in frame 5, such as one in a modal
+    const browser = createFakeBrowser();
+    linkToBackground(browser, background.browser, { tab: TAB, frameId: 5 });
+    const player = loadPage({ browser, url: 'https://player.example/embed', html: '<!DOCTYPE html><body><video src="/clip.mp4"></video></body>' });
+    t.after(() => player.window.close());
+    player.document.querySelector('video').play();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(background.evaluate('tabMediaState.get(1).isPlaying'), true);
+    assert.equal(background.evaluate('tabMediaState.get(1).frameId'), 5);
+
+    // The modal closes and takes the iframe with it
+    player.close();
+    await settle();
+    const state = background.evaluate('tabMediaState.get(1)');
+    assert.equal(state.isPlaying, false);
+    assert.equal(state.frameId, 0);
+    assert.deepEqual([...background.evaluate('tabFrameStates.get(1).keys()')], [0]);
+});
+
+test('skipping falls back to the top frame when the frame with the media is gone', async () => {
+    const background = await startBackground([{ ...TAB, audible: true }]);
+    await background.send({ command: 'media_state', state: { mediaCount: 1, isPlaying: true } }, { tab: TAB, frameId: 5 });
+    let topFrameReady = true;
+    background.browser.contentScripts = (tabId, message, options) => {
+        if (message.command !== 'execute_skip_track') return undefined;
+        if (options.frameId !== 0 || !topFrameReady) return Promise.reject(new Error(NO_RECEIVER));
+        return { success: true, method: 'media-session' };
+    };
+    const injected = () => background.browser.calls.filter(([api]) => api === 'tabs.executeScript');
+
+    // The top frame already runs the content scripts, so nothing is injected twice
+    assert.equal((await background.dispatch({ command: 'skip_track', tabId: 1, direction: 'next' })).method, 'media-session');
+    assert.deepEqual(injected(), []);
+
+    // Only a top frame that doesn't answer either gets them
+    topFrameReady = false;
+    background.browser.scriptResults = () => {
+        topFrameReady = true;
+        return [];
+    };
+    assert.equal((await background.dispatch({ command: 'skip_track', tabId: 1, direction: 'next' })).success, true);
+    assert.ok(injected().length > 0);
+});
+
+test('a volume no media took is neither reported as set nor remembered for the site', async () => {
+    const background = await startBackground([{ ...TAB, audible: true }]);
+    // Every frame got the message, none had media to answer with
+    background.browser.contentScripts = () => undefined;
+
+    const response = await background.dispatch({ command: 'set_volume', tabId: 1, volume: 0.3, persist: true });
+    assert.deepEqual(response, { success: false, error: 'No media elements found' });
+    assert.equal(background.browser.store.siteSettings, undefined);
+
+    background.browser.contentScripts = (tabId, message) => ({ success: true, volume: message.volume });
+    assert.deepEqual(await background.dispatch({ command: 'set_volume', tabId: 1, volume: 0.3, persist: true }),
+        { success: true, volume: 0.3 });
+    assert.equal(background.browser.store.siteSettings['https://example.com'].volume, 0.3);
+});
+
+test('listening statistics keep being saved for as long as a tab plays', async () => {
+    const background = await startBackground([{ ...TAB, audible: true }]);
+    assert.equal(background.evaluate('listeningClocks.size'), 1);
+
+    await background.evaluate('saveListeningStats()');
+    assert.ok(background.browser.store.listeningStats);
+    assert.notEqual(background.evaluate('statsSaveTimer'), null);
+
+    background.browser.tabs.onUpdated.fire(1, { audible: false }, { ...TAB, audible: false });
+    await settle();
+    await background.evaluate('saveListeningStats()');
+    assert.equal(background.evaluate('statsSaveTimer'), null);
+});
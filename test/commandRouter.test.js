@@ -0,0 +1,288 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeBrowser, createPortPair } = require('./helpers/fakeBrowser');
+const { loadBackground, settle } = require('./helpers/extension');
+
+const TAB = { id: 1, windowId: 1, audible: true, url: 'https://example.com/watch', title: 'A video' };
+const FROM_TAB = { tab: TAB, frameId: 0 };
+
+// A valid request for every registered command, and the sender it has to come from
+const VALID_REQUESTS = {
+    media_state: [{ state: { mediaCount: 1, isPlaying: true } }, FROM_TAB],
+    get_site_settings: [{}, FROM_TAB],
+    toggle_play_pause: [{ tabId: 1 }],
+    skip_track: [{ tabId: 1, direction: 'next' }],
+    seek_media: [{ tabId: 1, offset: 10 }],
+    set_volume: [{ tabId: 1, volume: 0.5, persist: true }],
+    set_playback_rate: [{ tabId: 1, rate: 1.5 }],
+    allow_autoplay: [{ tabId: 1 }],
+    set_audio_boost: [{ tabId: 1, boost: 2 }],
+    set_normalization: [{ enabled: true }],
+    media_session_action: [{ tabId: 1, action: 'seekforward', details: { seekOffset: 10 } }],
+    like_track: [{ tabId: 1 }],
+    start_element_picker: [{ tabId: 1 }],
+    set_primary_tab: [{ tabId: 1 }],
+    mute_all: [{}],
+    unmute_all: [{}],
+    pause_all: [{}],
+    resume_all: [{}],
+    solo_tab: [{ tabId: 1 }],
+    set_sleep_timer: [{ minutes: 30 }],
+    cancel_sleep_timer: [{}],
+    get_sleep_timer: [{}],
+    get_media_tabs: [{}],
+    request_update: [{}],
+    toggle_mute: [{ tabId: 1 }],
+    get_history: [{ query: 'video' }],
+    clear_history: [{}],
+    reopen_history_entry: [{ id: 'saved' }],
+    save_playback_position: [{ url: TAB.url, position: 30, duration: 3600 }, FROM_TAB],
+    get_playback_position: [{ url: TAB.url }, FROM_TAB],
+    forget_playback_position: [{ url: TAB.url }, FROM_TAB],
+    clear_playback_positions: [{}],
+    get_listening_stats: [{}],
+    clear_listening_stats: [{}]
+};
+
+// What the tab's content scripts answer, like a page playing a video would
+const CONTENT_ANSWERS = {
+    execute_toggle_play_pause: () => ({ success: true, method: 'elements', isPlaying: false }),
+    execute_skip_track: () => ({ success: true, method: 'media-session' }),
+    execute_seek: () => ({ success: true, currentTime: 40, duration: 3600 }),
+    execute_set_volume: message => ({ success: true, volume: message.volume }),
+    execute_set_playback_rate: message => ({ success: true, rate: message.rate, preservesPitch: true }),
+    execute_set_playback: message => ({ success: true, method: 'elements', isPlaying: message.playing }),
+    execute_set_audio_processing: message => ({ success: true, boost: message.boost || 1, normalize: !!message.normalize }),
+    execute_media_session_action: () => ({ success: true, method: 'media-session' }),
+    execute_like: () => ({ success: true, method: 'adapter-youtube' }),
+    start_element_picker: () => ({ success: true })
+};
+
+// Values of the wrong type for each kind of parameter
+const INVALID_VALUES = {
+    tabId: [-1, 1.5, '1'],
+    number: ['1', NaN, Infinity],
+    boolean: ['true', 1],
+    string: [1, {}],
+    object: ['state', []],
+    array: [{}, 'list']
+};
+
+async function startBackground() {
+    const browser = createFakeBrowser({
+        tabs: [TAB],
+        storage: { listeningHistory: [{ id: 'saved', url: TAB.url, position: 90, duration: 3600, lastHeardAt: 1 }] }
+    });
+    browser.contentScripts = (tabId, message) => (CONTENT_ANSWERS[message.command] || (() => undefined))(message);
+    const background = loadBackground(browser);
+    await settle();
+    return background;
+}
+
+function getRoutes(background) {
+    return new Map(background.evaluate('Array.from(commandRoutes.entries())'));
+}
+
+// Replaces every handler with one that only records that it ran
+function spyOnHandlers(background) {
+    const handled = [];
+    getRoutes(background).forEach((route, command) => {
+        route.handler = message => {
+            handled.push(command);
+            return { success: true, echo: message };
+        };
+        route.returns = {};
+    });
+    return handled;
+}
+
+function parseSpec(spec) {
+    const optional = typeof spec === 'string' && spec.endsWith('?');
+    return { optional, type: optional ? spec.slice(0, -1) : spec };
+}
+
+test('every registered command has a valid request to test it with', async () => {
+    const background = await startBackground();
+    assert.deepEqual([...getRoutes(background).keys()].sort(), Object.keys(VALID_REQUESTS).sort());
+});
+
+test('valid requests reach the handler', async () => {
+    const background = await startBackground();
+    const handled = spyOnHandlers(background);
+
+    for (const [command, [params, sender]] of Object.entries(VALID_REQUESTS)) {
+        const response = await background.dispatch({ command, ...params }, sender);
+        assert.equal(response.success, true, command);
+        assert.deepEqual(response.echo, { command, ...params }, command);
+    }
+    assert.deepEqual(handled, Object.keys(VALID_REQUESTS));
+});
+
+test('requests missing a required parameter are rejected before the handler runs', async () => {
+    const background = await startBackground();
+    const handled = spyOnHandlers(background);
+
+    for (const [command, route] of getRoutes(background)) {
+        const [params, sender] = VALID_REQUESTS[command];
+        for (const [name, spec] of Object.entries(route.params)) {
+            if (parseSpec(spec).optional) continue;
+            const request = { command, ...params };
+            delete request[name];
+            assert.deepEqual(await background.dispatch(request, sender), { success: false, error: `Missing '${name}'` }, command);
+            request[name] = null;
+            assert.deepEqual(await background.dispatch(request, sender), { success: false, error: `Missing '${name}'` }, command);
+        }
+    }
+    assert.deepEqual(handled, []);
+});
+
+test('requests with a parameter of the wrong type are rejected before the handler runs', async () => {
+    const background = await startBackground();
+    const handled = spyOnHandlers(background);
+
+    for (const [command, route] of getRoutes(background)) {
+        const [params, sender] = VALID_REQUESTS[command];
+        for (const [name, spec] of Object.entries(route.params)) {
+            const { type } = parseSpec(spec);
+            const values = Array.isArray(type) ? ['sideways', 1] : INVALID_VALUES[type];
+            for (const value of values) {
+                const response = await background.dispatch({ command, ...params, [name]: value }, sender);
+                assert.deepEqual(response, { success: false, error: `Invalid '${name}'` }, `${command} ${name}=${value}`);
+            }
+        }
+    }
+    assert.deepEqual(handled, []);
+});
+
+test('optional parameters may be left out or null', async () => {
+    const background = await startBackground();
+    spyOnHandlers(background);
+
+    for (const [command, route] of getRoutes(background)) {
+        const [params, sender] = VALID_REQUESTS[command];
+        const optional = Object.keys(route.params).filter(name => parseSpec(route.params[name]).optional);
+        if (optional.length === 0) continue;
+        const request = { command, ...params };
+        optional.forEach(name => delete request[name]);
+        assert.equal((await background.dispatch(request, sender)).success, true, command);
+        optional.forEach(name => { request[name] = null; });
+        assert.equal((await background.dispatch(request, sender)).success, true, command);
+    }
+});
+
+test('commands for content scripts are only taken from a tab', async () => {
+    const background = await startBackground();
+    const handled = spyOnHandlers(background);
+    const tabOnly = [...getRoutes(background)].filter(([, route]) => route.fromTab).map(([command]) => command);
+    assert.deepEqual(tabOnly.sort(),
+        ['forget_playback_position', 'get_playback_position', 'get_site_settings', 'media_state', 'save_playback_position']);
+
+    for (const command of tabOnly) {
+        const [params] = VALID_REQUESTS[command];
+        for (const sender of [{}, { id: 'popup' }, undefined]) {
+            const response = await background.dispatch({ command, ...params }, sender);
+            assert.deepEqual(response, { success: false, error: `'${command}' can only be sent from a tab` });
+        }
+    }
+    assert.deepEqual(handled, []);
+});
+
+test('unknown commands are answered with an error', async () => {
+    const background = await startBackground();
+
+    assert.deepEqual(await background.dispatch({ command: 'self_destruct' }), { success: false, error: "Unknown command 'self_destruct'" });
+    assert.deepEqual(await background.dispatch({}), { success: false, error: "Unknown command 'undefined'" });
+});
+
+test('every command answers with the fields it declares', async () => {
+    const background = await startBackground();
+    // Clearing goes last so the saved history is still there to reopen
+    const routes = [...getRoutes(background)].sort(([a], [b]) => a.startsWith('clear_') - b.startsWith('clear_'));
+
+    for (const [command, route] of routes) {
+        const [params, sender] = VALID_REQUESTS[command];
+        const response = await background.dispatch({ command, ...params }, sender);
+        assert.equal(response.success, true, `${command}: ${response.error}`);
+        for (const [name, spec] of Object.entries(route.returns)) {
+            if (!parseSpec(spec).optional) assert.ok(response[name] !== undefined, `${command} answers '${name}'`);
+        }
+    }
+});
+
+test('answers that break the declared shape are turned into errors', async () => {
+    const background = await startBackground();
+    const registerCommand = background.evaluate('registerCommand');
+    registerCommand('test_wrong_type', { returns: { count: 'number' } }, () => ({ success: true, count: 'three' }));
+    registerCommand('test_missing', { returns: { tabs: 'array' } }, () => ({ success: true }));
+    registerCommand('test_failure', { returns: { tabs: 'array' } }, () => ({ success: false }));
+    registerCommand('test_throws', {}, () => {
+        throw new Error('Broken');
+    });
+    registerCommand('test_nothing', {}, () => {});
+
+    assert.deepEqual(await background.dispatch({ command: 'test_wrong_type' }),
+        { success: false, error: "Invalid answer to 'test_wrong_type': Invalid 'count'" });
+    assert.deepEqual(await background.dispatch({ command: 'test_missing' }),
+        { success: false, error: "Invalid answer to 'test_missing': Missing 'tabs'" });
+    // Failures only need to say what went wrong
+    assert.deepEqual(await background.dispatch({ command: 'test_failure' }), { success: false, error: "'test_failure' failed" });
+    assert.deepEqual(await background.dispatch({ command: 'test_throws' }), { success: false, error: 'Broken' });
+    assert.deepEqual(await background.dispatch({ command: 'test_nothing' }), { success: true });
+});
+
+test('requests over a port are answered with their requestId', async () => {
+    const background = await startBackground();
+    const [popupPort, backgroundPort] = createPortPair('popup', {});
+    background.browser.runtime.onConnect.fire(backgroundPort);
+    await settle();
+    popupPort.received.length = 0;
+
+    popupPort.postMessage({ command: 'get_media_tabs', requestId: 7 });
+    popupPort.postMessage({ command: 'toggle_mute', requestId: 8 });
+    popupPort.postMessage({ command: 'get_media_tabs' }); // no requestId, nothing to answer
+    await settle();
+
+    const responses = popupPort.received.filter(message => message.command === 'response');
+    assert.deepEqual(responses.map(message => message.requestId).sort(), [7, 8]);
+    const tabs = responses.find(message => message.requestId === 7).response;
+    assert.equal(tabs.success, true);
+    assert.deepEqual(tabs.tabs.map(tab => tab.id), [1]);
+    assert.deepEqual(responses.find(message => message.requestId === 8).response, { success: false, error: "Missing 'tabId'" });
+});
+
+test('a popup that closes before the answer arrives is not an error', async () => {
+    const background = await startBackground();
+    const [popupPort, backgroundPort] = createPortPair('popup', {});
+    background.browser.runtime.onConnect.fire(backgroundPort);
+    await settle();
+
+    popupPort.postMessage({ command: 'get_media_tabs', requestId: 1 });
+    await Promise.resolve();
+    popupPort.disconnect();
+    await settle();
+    assert.equal(background.evaluate('popupPorts.size'), 0);
+});
+
+test('keyboard shortcuts go through the router to the tab they control', async () => {
+    const background = await startBackground();
+    const sentToTab = () => background.browser.calls.filter(([api]) => api === 'tabs.sendMessage').map(([, tabId, message]) => [tabId, message]);
+
+    background.browser.commands.onCommand.fire('play-pause');
+    background.browser.commands.onCommand.fire('next-track');
+    background.browser.commands.onCommand.fire('prev-track');
+    await settle();
+    assert.deepEqual(sentToTab().filter(([, message]) => message.command !== 'update_title'), [
+        [1, { command: 'execute_toggle_play_pause' }],
+        [1, { command: 'execute_skip_track', direction: 'next' }],
+        [1, { command: 'execute_skip_track', direction: 'prev' }]
+    ]);
+});
+
+test('keyboard shortcuts do nothing when no tab plays', async () => {
+    const background = await startBackground();
+    background.evaluate('audibleTabsMap.clear()');
+
+    background.browser.commands.onCommand.fire('play-pause');
+    await settle();
+    assert.deepEqual(background.browser.calls.filter(([api]) => api === 'tabs.sendMessage'), []);
+});
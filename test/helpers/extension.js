@@ -0,0 +1,231 @@
+// Loads the extension's scripts the way Firefox would, in the order manifest.json
+// lists them and sharing one global scope per page: the background scripts in a
+// bare VM context, content scripts and the popup in jsdom windows.
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { clone, deliverMessage } = require('./fakeBrowser');
+
+const ROOT = path.join(__dirname, '..', '..');
+const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+
+function readSource(file) {
+    return fs.readFileSync(path.join(ROOT, file.replace(/^\//, '')), 'utf8');
+}
+
+function runScripts(context, files) {
+    files.forEach(file => new vm.Script(readSource(file), { filename: file }).runInContext(context));
+}
+
+// Lets pending promise chains and zero-delay timers run
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// Captures what the scripts log instead of printing it
+function createConsole() {
+    const logs = [];
+    const record = level => (...args) => logs.push([level, ...args]);
+    return { logs, log: record('log'), info: record('info'), warn: record('warn'), error: record('error'), debug: record('debug') };
+}
+
+// The background's cleanup intervals and save delays must not keep the test process alive
+const backgroundTimers = {
+    setTimeout: (callback, delay, ...args) => setTimeout(callback, delay, ...args).unref(),
+    setInterval: (callback, delay, ...args) => setInterval(callback, delay, ...args).unref(),
+    clearTimeout,
+    clearInterval
+};
+
+function loadBackground(browser) {
+    const console = createConsole();
+    const context = vm.createContext({ browser, console, URL, ...backgroundTimers });
+    runScripts(context, manifest.background.scripts);
+    const evaluate = expression => vm.runInContext(expression, context);
+    return {
+        browser,
+        logs: console.logs,
+        evaluate,
+        // Sends a command the way runtime.sendMessage would, from a tab when `sender.tab` is set
+        send: (message, sender = {}) => deliverMessage(browser.runtime.onMessage, message, sender),
+        dispatch: async (message, sender = {}) => clone(await evaluate('dispatchCommand')(message, sender))
+    };
+}
+
+// jsdom doesn't play media, so elements get a small model of playback that
+// fires the events a real element would. setMediaState() sets what an element
+// would have learnt from its source, such as its duration.
+function installFakeMedia(window) {
+    const states = new WeakMap();
+    const stateOf = media => {
+        if (!states.has(media)) {
+            states.set(media, { paused: true, ended: false, currentTime: 0, duration: NaN, volume: 1, muted: false,
+                playbackRate: 1, defaultPlaybackRate: 1, preservesPitch: true });
+        }
+        return states.get(media);
+    };
+    const fire = (media, type) => media.dispatchEvent(new window.Event(type));
+    const property = (name, event) => ({
+        configurable: true,
+        get() {
+            return stateOf(this)[name];
+        },
+        set(value) {
+            stateOf(this)[name] = value;
+            if (event) fire(this, event);
+        }
+    });
+
+    Object.defineProperties(window.HTMLMediaElement.prototype, {
+        paused: { configurable: true, get() { return stateOf(this).paused; } },
+        ended: { configurable: true, get() { return stateOf(this).ended; } },
+        duration: { configurable: true, get() { return stateOf(this).duration; } },
+        currentSrc: { configurable: true, get() { return this.src; } },
+        currentTime: property('currentTime', 'timeupdate'),
+        volume: property('volume', 'volumechange'),
+        muted: property('muted', 'volumechange'),
+        playbackRate: property('playbackRate', 'ratechange'),
+        defaultPlaybackRate: property('defaultPlaybackRate'),
+        preservesPitch: property('preservesPitch'),
+        play: {
+            configurable: true,
+            writable: true,
+            value() {
+                const state = stateOf(this);
+                if (state.paused) {
+                    state.paused = false;
+                    state.ended = false;
+                    fire(this, 'play');
+                    fire(this, 'playing');
+                }
+                return window.Promise.resolve();
+            }
+        },
+        pause: {
+            configurable: true,
+            writable: true,
+            value() {
+                const state = stateOf(this);
+                if (state.paused) return;
+                state.paused = true;
+                fire(this, 'pause');
+            }
+        },
+        load: { configurable: true, writable: true, value() {} }
+    });
+    return (media, changes) => Object.assign(stateOf(media), changes);
+}
+
+// jsdom doesn't lay pages out either; anything not hidden by itself or an
+// ancestor gets a size, so the adapters' visibility checks work
+function installLayout(window) {
+    const isRendered = element => {
+        if (!element.isConnected) return false;
+        for (let node = element; node && node.nodeType === window.Node.ELEMENT_NODE; node = node.parentElement) {
+            if (node.hidden || window.getComputedStyle(node).display === 'none') return false;
+        }
+        return true;
+    };
+    ['offsetWidth', 'offsetHeight'].forEach(name => {
+        Object.defineProperty(window.HTMLElement.prototype, name, {
+            configurable: true,
+            get() {
+                return isRendered(this) ? 10 : 0;
+            }
+        });
+    });
+}
+
+// Pages get navigator.mediaSession like in Firefox; metadata and playbackState
+// are set by the test as a site would
+function installMediaSession(window) {
+    class MediaSession {
+        constructor() {
+            this.metadata = null;
+            this.playbackState = 'none';
+        }
+
+        setActionHandler() {}
+    }
+    window.MediaSession = MediaSession;
+    Object.defineProperty(window.navigator, 'mediaSession', { configurable: true, value: new MediaSession() });
+}
+
+function createWindow(html, url) {
+    const dom = new JSDOM(html, {
+        url,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole()
+    });
+    return dom;
+}
+
+// A web page with the content scripts loaded, as in a tab of the given URL.
+// Firefox's Xray helpers are identities here: the page and the scripts share one world.
+function loadPage({ browser, url = 'https://example.com/', html = '<!DOCTYPE html><body></body>', setUp } = {}) {
+    const dom = createWindow(html, url);
+    const { window } = dom;
+    const setMediaState = installFakeMedia(window);
+    installLayout(window);
+    installMediaSession(window);
+    window.browser = browser;
+    window.wrappedJSObject = window;
+    window.exportFunction = (func, target, options) => {
+        target[options.defineAs] = func;
+        return func;
+    };
+    window.cloneInto = value => value;
+    // Whatever the site itself does before the content scripts run
+    if (setUp) setUp(window);
+
+    const context = dom.getInternalVMContext();
+    manifest.content_scripts.forEach(group => runScripts(context, group.js));
+    return {
+        window,
+        document: window.document,
+        browser,
+        setMediaState,
+        evaluate: expression => vm.runInContext(expression, context),
+        // A message from the background, answered like tabs.sendMessage would be
+        send: message => deliverMessage(browser.runtime.onMessage, message, { id: 'test@extension' }),
+        // Unloads the page the way removing its iframe or closing its tab would;
+        // jsdom's close() doesn't fire pagehide itself
+        close: () => {
+            window.dispatchEvent(new window.PageTransitionEvent('pagehide', { persisted: false }));
+            window.close();
+        }
+    };
+}
+
+// The popup, or with `sidebar` the sidebar panel, running popup/popup.js
+function loadPopup({ browser, sidebar = false } = {}) {
+    const file = sidebar ? 'sidebar/sidebar.html' : 'popup/popup.html';
+    const dom = createWindow(readSource(file), `moz-extension://test/${file}`);
+    const { window } = dom;
+    window.browser = browser;
+    // The popup closes itself after some actions; the test keeps it to look at
+    const closeWindow = window.close.bind(window);
+    window.close = () => browser.calls.push(['window.close']);
+    const context = dom.getInternalVMContext();
+    runScripts(context, ['popup/popup.js']);
+    return {
+        window,
+        document: window.document,
+        browser,
+        evaluate: expression => vm.runInContext(expression, context),
+        // jsdom's own close() ends the popup's timers
+        close: closeWindow
+    };
+}
+
+module.exports = {
+    ROOT,
+    manifest,
+    loadBackground,
+    loadPage,
+    loadPopup,
+    readSource,
+    settle
+};
@@ -0,0 +1,307 @@
+// A stand-in for the parts of the WebExtension `browser` namespace the extension
+// uses. Storage lives in memory, tabs are plain objects the tests set up, events
+// can be fired by hand, and what a tab's content scripts answer is up to each test.
+// Everything crossing between the background, pages and tests is cloned, like a
+// real message would be.
+const NO_RECEIVER = 'Could not establish connection. Receiving end does not exist.';
+
+function clone(value) {
+    return value === undefined ? undefined : structuredClone(value);
+}
+
+function createEvent() {
+    const listeners = [];
+    return {
+        addListener(listener) {
+            listeners.push(listener);
+        },
+        removeListener(listener) {
+            const index = listeners.indexOf(listener);
+            if (index >= 0) listeners.splice(index, 1);
+        },
+        hasListener(listener) {
+            return listeners.includes(listener);
+        },
+        hasListeners() {
+            return listeners.length > 0;
+        },
+        fire(...args) {
+            return listeners.slice().map(listener => listener(...args));
+        }
+    };
+}
+
+// Delivers a message the way Firefox does: the first listener to answer, with a
+// promise or through sendResponse, wins. Nobody answering resolves to undefined.
+function deliverMessage(event, message, sender) {
+    if (!event.hasListeners()) return Promise.reject(new Error(NO_RECEIVER));
+    return new Promise((resolve, reject) => {
+        let answered = false;
+        const sendResponse = response => {
+            if (answered) return;
+            answered = true;
+            resolve(clone(response));
+        };
+        const results = event.fire(clone(message), sender, sendResponse);
+        const promises = results.filter(result => result && typeof result.then === 'function');
+        promises.forEach(promise => promise.then(sendResponse, reject));
+        if (promises.length === 0 && !results.includes(true)) sendResponse(undefined);
+    });
+}
+
+function createPort(name, sender) {
+    const port = {
+        name,
+        sender,
+        other: null,
+        connected: true,
+        received: [], // everything posted to this end, for assertions
+        onMessage: createEvent(),
+        onDisconnect: createEvent(),
+        postMessage(message) {
+            if (!port.connected) throw new Error('Attempt to postMessage on disconnected port');
+            const copy = clone(message);
+            const other = port.other;
+            // Ports deliver asynchronously
+            Promise.resolve().then(() => {
+                if (!other.connected) return;
+                other.received.push(copy);
+                other.onMessage.fire(copy, other);
+            });
+        },
+        disconnect() {
+            if (!port.connected) return;
+            port.connected = false;
+            port.other.connected = false;
+            port.other.onDisconnect.fire(port.other);
+        }
+    };
+    return port;
+}
+
+// Two connected ends: the one returned by runtime.connect() and the one the
+// other side receives in runtime.onConnect
+function createPortPair(name, sender) {
+    const local = createPort(name, null);
+    const remote = createPort(name, sender);
+    local.other = remote;
+    remote.other = local;
+    return [local, remote];
+}
+
+function matchesQuery(tab, queryInfo) {
+    return Object.entries(queryInfo).every(([key, value]) => {
+        if (key === 'currentWindow' || key === 'lastFocusedWindow') return tab.windowId === 1;
+        return tab[key] === value;
+    });
+}
+
+function createFakeBrowser({ tabs = [], storage = {}, incognito = false } = {}) {
+    const tabList = tabs.map(tab => ({
+        windowId: 1,
+        active: false,
+        audible: false,
+        incognito: false,
+        mutedInfo: { muted: false },
+        title: '',
+        url: 'about:blank',
+        ...tab
+    }));
+    let nextTabId = Math.max(0, ...tabList.map(tab => tab.id)) + 1;
+    const store = clone(storage);
+    const calls = []; // [api, ...args] for every call with a side effect
+
+    function findTab(tabId) {
+        const tab = tabList.find(item => item.id === tabId);
+        if (!tab) throw new Error(`Invalid tab ID: ${tabId}`);
+        return tab;
+    }
+
+    function setStorage(items) {
+        const changes = {};
+        Object.entries(clone(items)).forEach(([key, value]) => {
+            changes[key] = { oldValue: store[key], newValue: value };
+            store[key] = value;
+        });
+        browser.storage.onChanged.fire(clone(changes), 'local');
+    }
+
+    const browser = {
+        calls,
+        tabList,
+        store,
+        // What a tab's content scripts answer to tabs.sendMessage; by default no tab has any
+        contentScripts: () => Promise.reject(new Error(NO_RECEIVER)),
+        // What tabs.executeScript returns, one result per frame
+        scriptResults: () => [],
+        // What the background answers to runtime.sendMessage from a page that isn't linked to one
+        backgroundReply: () => undefined,
+        remotePorts: [], // the far ends of ports opened by an unlinked page
+
+        storage: {
+            local: {
+                async get(keys) {
+                    if (keys === null || keys === undefined) return clone(store);
+                    if (typeof keys === 'string') keys = [keys];
+                    const defaults = Array.isArray(keys) ? {} : keys;
+                    const result = {};
+                    (Array.isArray(keys) ? keys : Object.keys(keys)).forEach(key => {
+                        if (key in store) result[key] = clone(store[key]);
+                        else if (key in defaults) result[key] = clone(defaults[key]);
+                    });
+                    return result;
+                },
+                async set(items) {
+                    calls.push(['storage.local.set', clone(items)]);
+                    setStorage(items);
+                },
+                async remove(keys) {
+                    (Array.isArray(keys) ? keys : [keys]).forEach(key => delete store[key]);
+                }
+            },
+            onChanged: createEvent()
+        },
+
+        tabs: {
+            async query(queryInfo = {}) {
+                return clone(tabList.filter(tab => matchesQuery(tab, queryInfo)));
+            },
+            async get(tabId) {
+                return clone(findTab(tabId));
+            },
+            async update(tabId, properties) {
+                calls.push(['tabs.update', tabId, clone(properties)]);
+                const tab = findTab(tabId);
+                if ('muted' in properties) tab.mutedInfo = { muted: properties.muted };
+                if (properties.active) {
+                    tabList.forEach(item => {
+                        if (item.windowId === tab.windowId) item.active = item === tab;
+                    });
+                }
+                if (properties.url) tab.url = properties.url;
+                return clone(tab);
+            },
+            async create(properties) {
+                calls.push(['tabs.create', clone(properties)]);
+                const tab = { id: nextTabId++, windowId: 1, active: true, audible: false, incognito: false,
+                    mutedInfo: { muted: false }, title: '', url: properties.url || 'about:blank' };
+                tabList.push(tab);
+                return clone(tab);
+            },
+            sendMessage(tabId, message, options = {}) {
+                calls.push(['tabs.sendMessage', tabId, clone(message), clone(options)]);
+                return Promise.resolve()
+                    .then(() => browser.contentScripts(tabId, clone(message), clone(options)))
+                    .then(clone);
+            },
+            async executeScript(tabId, details) {
+                calls.push(['tabs.executeScript', tabId, clone(details)]);
+                return clone(await browser.scriptResults(tabId, details));
+            },
+            onUpdated: createEvent(),
+            onRemoved: createEvent(),
+            onActivated: createEvent(),
+            onAttached: createEvent(),
+            onCreated: createEvent()
+        },
+
+        runtime: {
+            onMessage: createEvent(),
+            onConnect: createEvent(),
+            onStartup: createEvent(),
+            sendMessage(message) {
+                calls.push(['runtime.sendMessage', clone(message)]);
+                return Promise.resolve().then(() => clone(browser.backgroundReply(clone(message))));
+            },
+            connect(connectInfo = {}) {
+                const [local, remote] = createPortPair(connectInfo.name || '', {});
+                browser.remotePorts.push(remote);
+                return local;
+            },
+            getURL(path) {
+                return `moz-extension://test${path.startsWith('/') ? '' : '/'}${path}`;
+            },
+            async openOptionsPage() {
+                calls.push(['runtime.openOptionsPage']);
+            }
+        },
+
+        alarms: {
+            create(name, info) {
+                calls.push(['alarms.create', name, clone(info)]);
+            },
+            async clear(name) {
+                calls.push(['alarms.clear', name]);
+                return true;
+            },
+            onAlarm: createEvent()
+        },
+
+        commands: {
+            async getAll() {
+                return [];
+            },
+            onCommand: createEvent()
+        },
+
+        windows: {
+            async update(windowId, properties) {
+                calls.push(['windows.update', windowId, clone(properties)]);
+                return { id: windowId, ...clone(properties) };
+            },
+            async getCurrent() {
+                return { id: 1, focused: true };
+            },
+            async getLastFocused() {
+                return { id: 1, focused: true };
+            },
+            onCreated: createEvent(),
+            onFocusChanged: createEvent()
+        },
+
+        browserAction: {
+            setIcon(details) {
+                calls.push(['browserAction.setIcon', clone(details)]);
+            },
+            setTitle(details) {
+                calls.push(['browserAction.setTitle', clone(details)]);
+            }
+        },
+
+        extension: {
+            inIncognitoContext: incognito
+        }
+    };
+    return browser;
+}
+
+// Lets a page (popup or content script) talk to a background: its messages and
+// ports reach the background's listeners with `sender`, and for content pages
+// the background's tabs.sendMessage reaches the page's listeners
+function linkToBackground(page, background, sender = {}) {
+    page.runtime.sendMessage = message => {
+        page.calls.push(['runtime.sendMessage', clone(message)]);
+        return deliverMessage(background.runtime.onMessage, message, sender);
+    };
+    page.runtime.connect = (connectInfo = {}) => {
+        const [local, remote] = createPortPair(connectInfo.name || '', sender);
+        background.runtime.onConnect.fire(remote);
+        return local;
+    };
+    if (sender.tab) {
+        background.contentScripts = (tabId, message) => {
+            if (tabId !== sender.tab.id) return Promise.reject(new Error(NO_RECEIVER));
+            return deliverMessage(page.runtime.onMessage, message, { id: 'test@extension' });
+        };
+    }
+}
+
+module.exports = {
+    NO_RECEIVER,
+    clone,
+    createEvent,
+    createFakeBrowser,
+    createPortPair,
+    deliverMessage,
+    linkToBackground
+};
@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeBrowser, linkToBackground } = require('./helpers/fakeBrowser');
+const { loadBackground, loadPopup, settle } = require('./helpers/extension');
+
+const MUSIC = { id: 1, windowId: 1, audible: true, url: 'https://music.example/', title: 'Music page' };
+const VIDEO = { id: 2, windowId: 2, audible: true, url: 'https://video.example/watch', title: 'Video page' };
+
+// The real background with the given tabs, and the popup (or sidebar) talking to it
+async function openPopup(t, { tabs = [MUSIC, VIDEO], sidebar = false } = {}) {
+    const background = loadBackground(createFakeBrowser({ tabs }));
+    await settle();
+    // The popup switches tabs itself, so it sees the same tabs
+    const browser = createFakeBrowser({ tabs });
+    linkToBackground(browser, background.browser);
+    const popup = loadPopup({ browser, sidebar });
+    t.after(popup.close);
+    await settle();
+    return { background, popup, browser };
+}
+
+async function reportMedia(background, tab, state) {
+    await background.send({ command: 'media_state', state: { mediaCount: 1, isPlaying: true, ...state } }, { tab, frameId: 0 });
+    await settle();
+}
+
+function row(popup, tabId) {
+    return popup.document.querySelector(`.tab-item[data-tab-id="${tabId}"]`);
+}
+
+test('every media tab gets a row, named after its track when the page says what plays', async t => {
+    const { background, popup } = await openPopup(t);
+    await reportMedia(background, MUSIC, {
+        mediaSession: { playbackState: 'playing', actions: [], metadata: { title: 'A song', artist: 'A band' } }
+    });
+
+    assert.equal(popup.document.querySelectorAll('.tab-item').length, 2);
+    assert.equal(row(popup, 1).querySelector('.tab-title').textContent, 'A song');
+    assert.equal(row(popup, 1).querySelector('.tab-artist').textContent, 'A band');
+    assert.equal(row(popup, 2).querySelector('.tab-title').textContent, 'Video page');
+    assert.equal(row(popup, 2).querySelector('.tab-url').textContent, 'https://video.example/watch');
+    assert.equal(row(popup, 2).querySelector('.pause-btn').textContent, 'Pause');
+});
+
+test('nothing playing shows a placeholder', async t => {
+    const { popup } = await openPopup(t, { tabs: [] });
+
+    assert.equal(popup.document.querySelectorAll('.tab-item').length, 0);
+    assert.match(popup.document.querySelector('.no-tabs').textContent, /No tabs with media found/);
+});
+
+test('rows follow the updates the background pushes', async t => {
+    const { background, popup } = await openPopup(t);
+
+    background.browser.tabs.onUpdated.fire(2, { title: 'Next video' }, { ...VIDEO, title: 'Next video' });
+    await settle();
+    assert.equal(row(popup, 2).querySelector('.tab-title').textContent, 'Next video');
+
+    background.browser.tabs.onRemoved.fire(1, {});
+    await settle();
+    assert.equal(row(popup, 1), null);
+});
+
+test('skip buttons are disabled only when the page can\'t skip in any way', async t => {
+    const { background, popup } = await openPopup(t);
+    const session = { playbackState: 'playing', actions: ['play', 'pause'], metadata: null };
+
+    await reportMedia(background, MUSIC, { mediaSession: session });
+    assert.equal(row(popup, 1).querySelector('.prev-btn').disabled, true);
+    assert.equal(row(popup, 1).querySelector('.next-btn').disabled, true);
+
+    await reportMedia(background, MUSIC, { mediaSession: session, siteAdapter: { name: 'site', canNext: true, canPrev: false } });
+    assert.equal(row(popup, 1).querySelector('.prev-btn').disabled, true);
+    assert.equal(row(popup, 1).querySelector('.next-btn').disabled, false);
+
+    await reportMedia(background, MUSIC, { mediaSession: session, customControls: { next: false, prev: true } });
+    assert.equal(row(popup, 1).querySelector('.prev-btn').disabled, false);
+
+    // Pages without Media Session are skipped through their adapters or media keys
+    assert.equal(row(popup, 2).querySelector('.next-btn').disabled, false);
+});
+
+test('clicking a row switches to the tab and closes the popup', async t => {
+    const { popup, browser } = await openPopup(t);
+
+    row(popup, 2).querySelector('.tab-content').click();
+    await settle();
+    assert.deepEqual(browser.calls.filter(([api]) => ['tabs.update', 'windows.update', 'window.close'].includes(api)), [
+        ['tabs.update', 2, { active: true }],
+        ['window.close']
+    ]);
+});
+
+test('the sidebar groups tabs by window and brings a clicked tab\'s window forward', async t => {
+    const { popup, browser } = await openPopup(t, { sidebar: true });
+
+    const headings = Array.from(popup.document.querySelectorAll('.window-heading'), heading => heading.textContent);
+    assert.deepEqual(headings, ['This window', 'Window 2']);
+    assert.equal(popup.document.querySelector('.title').textContent, 'ZX Media Dashboard');
+
+    row(popup, 2).querySelector('.tab-content').click();
+    await settle();
+    assert.deepEqual(browser.calls.filter(([api]) => api === 'tabs.update' || api === 'windows.update'), [
+        ['tabs.update', 2, { active: true }],
+        ['windows.update', 2, { focused: true }]
+    ]);
+    assert.equal(browser.calls.some(([api]) => api === 'window.close'), false);
+});
@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeBrowser } = require('./helpers/fakeBrowser');
+const { loadPage, settle } = require('./helpers/extension');
+
+// A page offering every way of skipping at once: a control the user picked,
+// a Media Session handler, a button the generic adapter knows, a player API
+// and, always there as the last resort, media key events
+const PLAYER_HTML = `<!DOCTYPE html>
+<body>
+    <audio src="/track.mp3"></audio>
+    <div class="player">
+        <span id="picked-next">Up next</span>
+        <button class="next">Next</button>
+        <button class="prev">Previous</button>
+    </div>
+</body>`;
+
+function openPlayer(t, url = 'https://example.com/listen') {
+    const browser = createFakeBrowser({ storage: { customSelectors: { 'example.com': { next: '#picked-next' } } } });
+    const used = [];
+    const page = loadPage({ browser, url, html: PLAYER_HTML });
+    page.window.navigator.mediaSession.setActionHandler('nexttrack', () => used.push('media-session'));
+    page.window.player = { nextTrack: () => used.push('player-api') };
+    page.document.getElementById('picked-next').addEventListener('click', () => used.push('custom-selector'));
+    page.document.querySelector('.next').addEventListener('click', () => used.push('adapter'));
+    page.document.addEventListener('keydown', event => used.push(`key:${event.key}`));
+    t.after(page.close);
+    return { browser, page, used };
+}
+
+async function skip(page, direction = 'next') {
+    return page.send({ command: 'execute_skip_track', direction });
+}
+
+test('skipping tries the picked control, Media Session, adapters, player APIs and media keys in that order', async t => {
+    const { browser, page, used } = openPlayer(t);
+    await settle();
+
+    assert.equal((await skip(page)).method, 'custom-selector');
+    assert.deepEqual(used.splice(0), ['custom-selector']);
+
+    await browser.storage.local.set({ customSelectors: {} });
+    assert.equal((await skip(page)).method, 'media-session');
+    assert.deepEqual(used.splice(0), ['media-session']);
+
+    page.window.navigator.mediaSession.setActionHandler('nexttrack', null);
+    assert.equal((await skip(page)).method, 'adapter-generic');
+    assert.deepEqual(used.splice(0), ['adapter']);
+
+    page.document.querySelector('.next').remove();
+    assert.equal((await skip(page)).method, 'player-api-next');
+    assert.deepEqual(used.splice(0), ['player-api']);
+
+    delete page.window.player;
+    assert.equal((await skip(page)).method, 'keyboard-events');
+    // Sent to the document, the window and the focused element alike
+    assert.deepEqual([...new Set(used.splice(0))], ['key:MediaTrackNext']);
+});
+
+test('a site adapter is asked before the generic one', async t => {
+    const { browser, page, used } = openPlayer(t, 'https://www.youtube.com/watch?v=abc');
+    page.document.querySelector('.player').insertAdjacentHTML('beforeend', '<button class="ytp-next-button"></button>');
+    page.document.querySelector('.ytp-next-button').addEventListener('click', () => used.push('youtube'));
+    page.window.navigator.mediaSession.setActionHandler('nexttrack', null);
+    await browser.storage.local.set({ customSelectors: {} });
+
+    assert.equal((await skip(page)).method, 'adapter-youtube');
+    assert.deepEqual(used, ['youtube']);
+});
+
+test('going back uses the previous-track controls', async t => {
+    const { page, used } = openPlayer(t);
+    page.document.querySelector('.prev').addEventListener('click', () => used.push('prev'));
+    await settle();
+
+    // The picked control is for "next" only, and the page has no previoustrack handler
+    assert.equal((await skip(page, 'prev')).method, 'adapter-generic');
+    assert.deepEqual(used, ['prev']);
+});
+
+test('a hidden control is passed over', async t => {
+    const { browser, page, used } = openPlayer(t);
+    await settle();
+    await browser.storage.local.set({ customSelectors: {} });
+    page.window.navigator.mediaSession.setActionHandler('nexttrack', null);
+    page.document.querySelector('.next').hidden = true;
+
+    assert.equal((await skip(page)).method, 'player-api-next');
+    assert.deepEqual(used, ['player-api']);
+});